@@ -12,6 +12,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
 let currentResults = null;
 let currentUserSkills = [];
+let currentLearningPlan = null;
 
 /**
  * Initialize UI components
@@ -35,7 +36,10 @@ function initializeUI() {
 function loadSavedState() {
     // Load track
     const savedTrack = storageManager.getTrack();
-    document.getElementById(`track${savedTrack.charAt(0).toUpperCase() + savedTrack.slice(1)}`).checked = true;
+    const savedRadio = document.querySelector(`input[name="track"][value="${savedTrack}"]`);
+    if (savedRadio) {
+        savedRadio.checked = true;
+    }
     
     // Load skills
     const savedSkills = storageManager.getSkills();
@@ -48,6 +52,9 @@ function loadSavedState() {
     // Load sort preference
     const sortPref = storageManager.getSortPreference();
     document.getElementById('sortBy').value = sortPref;
+    
+    // Load target level
+    document.getElementById('targetLevel').value = storageManager.getTargetLevel();
 }
 
 /**
@@ -74,6 +81,7 @@ function setupEventListeners() {
     
     // Export PDF button
     document.getElementById('exportPdfBtn')?.addEventListener('click', exportPDF);
+    document.getElementById('exportIcsBtn')?.addEventListener('click', exportCalendar);
     
     // Settings save
     document.getElementById('saveSettingsBtn').addEventListener('click', saveSettings);
@@ -82,13 +90,21 @@ function setupEventListeners() {
     document.getElementById('resetBtn').addEventListener('click', resetAll);
 }
 
+/**
+ * Get the display name of a track
+ */
+function getTrackName(track) {
+    const info = (window.APP_DATA?.tracks || []).find(t => t.id === track);
+    return info ? info.name : track;
+}
+
 /**
  * Handle track change
  */
 function handleTrackChange(e) {
     const track = e.target.value;
     storageManager.saveTrack(track);
-    showToast('Track changed', `Switched to ${track} development`);
+    showToast('Track changed', `Switched to ${getTrackName(track)}`);
 }
 
 /**
@@ -188,6 +204,9 @@ function updateValidateButton() {
 async function validateSkills() {
     const track = document.querySelector('input[name="track"]:checked').value;
     const sortBy = document.getElementById('sortBy').value;
+    const targetLevel = document.getElementById('targetLevel').value;
+    const demandWindow = Number(document.getElementById('demandWindow').value);
+    const granularity = document.getElementById('granularity').value;
     const githubToken = storageManager.getGitHubToken();
     const soKey = storageManager.getSOKey();
     
@@ -211,7 +230,10 @@ async function validateSkills() {
                 skills: currentUserSkills,
                 githubToken,
                 soKey,
-                sortBy
+                sortBy,
+                targetLevel: targetLevel || undefined,
+                window: demandWindow,
+                granularity
             })
         });
         
@@ -222,10 +244,12 @@ async function validateSkills() {
         
         const result = await response.json();
         currentResults = result.data;
+        currentLearningPlan = null;
         
         // Save results
         storageManager.saveResults(currentResults);
         storageManager.saveSortPreference(sortBy);
+        storageManager.saveTargetLevel(targetLevel);
         
         // Display results
         displayResults(currentResults, track);
@@ -250,6 +274,7 @@ function displayResults(results, track) {
     
     // Update summary cards
     document.getElementById('coveragePercent').textContent = `${results.coveragePercent}%`;
+    document.getElementById('weightedCoveragePercent').textContent = `${results.weightedCoveragePercent}%`;
     document.getElementById('totalGaps').textContent = results.gapCount || (results.sections ? 
         (results.sections.frontend.count + results.sections.backend.count) : 0);
     document.getElementById('userSkillsCount').textContent = results.userSkillCount;
@@ -296,7 +321,7 @@ function renderGaps(results, track) {
             container.innerHTML = `
                 <div class="text-center py-5">
                     <h4 class="text-success">🎉 Congratulations!</h4>
-                    <p class="text-muted">You have mastered all core skills for ${track} development.</p>
+                    <p class="text-muted">You have mastered all core skills for ${getTrackName(track)}.</p>
                 </div>
             `;
         } else {
@@ -316,6 +341,110 @@ function renderGaps(results, track) {
             `;
         }
     }
+    
+    container.innerHTML += renderUnderProficient(results.underProficient);
+    container.innerHTML = renderSnapshotNotice(results.demandSnapshot) +
+        renderBudgetNotice(results.budget) +
+        renderNormalizationNotice(results.normalization) + container.innerHTML;
+}
+
+/**
+ * Render core skills held below the expected proficiency
+ */
+function renderUnderProficient(underProficient) {
+    if (!underProficient || underProficient.length === 0) {
+        return '';
+    }
+    
+    return `
+        <h5 class="mb-3 mt-4">Under-Proficient (${underProficient.length})</h5>
+        <p class="text-muted small">Core skills you have, but below the level this roadmap expects. They earn partial credit in weighted coverage.</p>
+        <div class="table-responsive">
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Skill</th>
+                        <th>Impact</th>
+                        <th>Your Level</th>
+                        <th>Expected</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${underProficient.map(item => `
+                        <tr>
+                            <td><strong>${item.skill}</strong></td>
+                            <td><span class="badge bg-primary">${item.weight}/10</span></td>
+                            <td>${item.proficiency}</td>
+                            <td>${item.expectedProficiency}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Render notice for demand data answered from an offline snapshot
+ */
+function renderSnapshotNotice(snapshot) {
+    if (!snapshot) {
+        return '';
+    }
+    
+    const message = snapshot.recordedAt
+        ? `Offline mode: demand data comes from a snapshot recorded ${new Date(snapshot.recordedAt).toLocaleString()}.`
+        : 'Offline mode: no demand snapshot has been recorded, so demand counts are unavailable.';
+    
+    return `<div class="alert alert-secondary small">${message}</div>`;
+}
+
+/**
+ * Render notice for demand lookups cut back to fit the API quota
+ */
+function renderBudgetNotice(budget) {
+    if (!budget || !budget.degraded) {
+        return '';
+    }
+    
+    return `
+        <div class="alert alert-warning small">
+            <strong>Limited demand data:</strong> not enough API quota left for every lookup.
+            <ul class="mb-0 mt-1">
+                ${budget.warnings.map(warning => `<li>${warning}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Render notice for skills that were remapped or not recognized
+ */
+function renderNormalizationNotice(normalization) {
+    if (!normalization) {
+        return '';
+    }
+    
+    const { remapped = [], unrecognized = [] } = normalization;
+    let html = '';
+    
+    if (remapped.length > 0) {
+        html += `
+            <div class="alert alert-info small">
+                Recognized as: ${remapped.map(r => `${escapeHtml(r.input)} → <strong>${escapeHtml(r.skill)}</strong>`).join(', ')}
+            </div>
+        `;
+    }
+    
+    if (unrecognized.length > 0) {
+        html += `
+            <div class="alert alert-warning small">
+                Not found in any roadmap: ${unrecognized.map(escapeHtml).join(', ')}
+            </div>
+        `;
+    }
+    
+    return html;
 }
 
 /**
@@ -332,6 +461,9 @@ function renderGapList(gaps) {
         low: 'secondary'
     };
     
+    // Every gap is scored by the same demand providers
+    const sources = gaps[0].evidence?.sources || [];
+    
     return `
         <div class="table-responsive">
             <table class="table table-hover">
@@ -341,21 +473,24 @@ function renderGapList(gaps) {
                         <th>Skill</th>
                         <th>Impact</th>
                         <th>Demand</th>
-                        <th>GitHub</th>
-                        <th>Stack Overflow</th>
+                        ${sources.map(source => `<th>${source.label}</th>`).join('')}
                     </tr>
                 </thead>
                 <tbody>
                     ${gaps.map((gap, index) => `
                         <tr>
                             <td>${index + 1}</td>
-                            <td><strong>${gap.skill}</strong></td>
+                            <td><strong>${gap.skill}</strong>${renderTrendLabel(gap.trend)}</td>
                             <td><span class="badge bg-primary">${gap.weight}/10</span></td>
                             <td><span class="badge bg-${demandColors[gap.evidence?.demandCategory || 'low']}">
                                 ${(gap.evidence?.demandCategory || 'low').toUpperCase()}
-                            </span></td>
-                            <td>${(gap.evidence?.github?.count || 0).toLocaleString()}</td>
-                            <td>${(gap.evidence?.stackoverflow?.count || 0).toLocaleString()}</td>
+                            </span>${gap.evidence?.percentile != null ? `
+                                <small class="text-muted ms-1" title="Normalized score ${gap.evidence.normalizedScore}/100">
+                                    P${Math.round(gap.evidence.percentile)}
+                                </small>` : ''}</td>
+                            ${sources.map(source => `
+                                <td>${formatSourceCount(gap, source.id)}</td>
+                            `).join('')}
                         </tr>
                     `).join('')}
                 </tbody>
@@ -364,6 +499,43 @@ function renderGapList(gaps) {
     `;
 }
 
+/**
+ * Render a gap's demand trend (present when sorted by trending)
+ */
+function renderTrendLabel(trend) {
+    if (!trend) {
+        return '';
+    }
+
+    const styles = {
+        rising: { icon: '▲', color: 'text-success' },
+        stable: { icon: '▶', color: 'text-muted' },
+        declining: { icon: '▼', color: 'text-danger' }
+    };
+    const { icon, color } = styles[trend.label];
+    const slope = `${trend.slopePercent > 0 ? '+' : ''}${trend.slopePercent}% per month`;
+
+    return ` <small class="${color}" title="${slope}">${icon} ${trend.label}</small>`;
+}
+
+/**
+ * Format a demand provider's count from a gap's evidence
+ * Providers with nothing to measure for the skill show a dash; cached counts
+ * past their TTL (being refreshed in the background) are marked stale
+ */
+function formatSourceCount(gap, sourceId) {
+    const source = (gap.evidence?.sources || []).find(s => s.id === sourceId);
+    if (source?.applicable === false) {
+        return '<span class="text-muted">—</span>';
+    }
+
+    const count = (source?.count || 0).toLocaleString();
+    if (source?.cacheStatus === 'stale') {
+        return `${count} <small class="text-muted" title="Cached value past its TTL, refreshing in the background">(stale)</small>`;
+    }
+    return count;
+}
+
 /**
  * Render learning path
  */
@@ -391,16 +563,131 @@ function renderLearningPath(results) {
     if (results.learningOrder && results.learningOrder.length > 0) {
         html += `
             <h5 class="mb-3">Complete Learning Order</h5>
-            <p class="text-muted small">Based on prerequisite chains</p>
+            <p class="text-muted small">Based on prerequisite chains, including prerequisites you are missing</p>
             <ol class="learning-order-list">
-                ${results.learningOrder.map(skill => `
-                    <li>${skill}</li>
+                ${results.learningOrder.map(step => `
+                    <li>
+                        ${step.skill}
+                        ${step.addedAsPrerequisite ? '<span class="badge bg-secondary ms-1">prerequisite</span>' : ''}
+                        ${step.inCycle ? '<span class="badge bg-warning text-dark ms-1">circular</span>' : ''}
+                        ${step.unlockedBy.length > 0 ? `
+                            <br><small class="text-muted">After ${step.unlockedBy.map(u => `${u.step}. ${u.skill}`).join(', ')}</small>
+                        ` : ''}
+                    </li>
                 `).join('')}
             </ol>
         `;
+
+        if (results.learningOrderCycles && results.learningOrderCycles.length > 0) {
+            html += `
+                <div class="alert alert-warning small">
+                    Circular prerequisites: ${results.learningOrderCycles.map(cycle => cycle.join(' → ')).join('; ')}
+                </div>
+            `;
+        }
+    }
+    
+    // Weekly schedule
+    if (results.gapCount > 0) {
+        html += `
+            <h5 class="mb-3 mt-4">Weekly Schedule</h5>
+            <p class="text-muted small">Spread the learning order over weeks using each skill's estimated hours</p>
+            <div class="row g-2 align-items-end mb-3">
+                <div class="col-sm-4">
+                    <label class="form-label small" for="hoursPerWeekInput">Hours per week</label>
+                    <input type="number" class="form-control" id="hoursPerWeekInput" min="1" max="60" value="10">
+                </div>
+                <div class="col-sm-4">
+                    <label class="form-label small" for="planStartDateInput">Start date</label>
+                    <input type="date" class="form-control" id="planStartDateInput" value="${new Date().toISOString().slice(0, 10)}">
+                </div>
+                <div class="col-sm-4">
+                    <button class="btn btn-outline-primary w-100" id="generatePlanBtn">Build Schedule</button>
+                </div>
+            </div>
+            <div id="learningPlanContent"></div>
+        `;
     }
     
     container.innerHTML = html || '<p class="text-muted">No learning path available</p>';
+    
+    document.getElementById('generatePlanBtn')?.addEventListener('click', generateLearningPlan);
+}
+
+/**
+ * Generate week-by-week learning plan
+ */
+async function generateLearningPlan() {
+    if (!currentResults) {
+        showToast('Error', 'Validate your skills first', 'error');
+        return;
+    }
+    
+    const hoursPerWeek = Number(document.getElementById('hoursPerWeekInput').value);
+    const startDate = document.getElementById('planStartDateInput').value;
+    
+    try {
+        const response = await fetch('/api/learning-plan', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                validationResults: currentResults,
+                hoursPerWeek,
+                startDate: startDate || undefined
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Could not build schedule');
+        }
+        
+        const result = await response.json();
+        currentLearningPlan = result.data;
+        renderLearningPlan(currentLearningPlan);
+        
+    } catch (error) {
+        console.error('Learning plan error:', error);
+        showToast('Error', error.message, 'error');
+    }
+}
+
+/**
+ * Render week-by-week learning plan
+ */
+function renderLearningPlan(plan) {
+    const container = document.getElementById('learningPlanContent');
+    
+    container.innerHTML = `
+        <div class="alert alert-info small">
+            ${plan.totalHours} hours over ${plan.totalWeeks} weeks (${plan.startDate} to ${plan.endDate}).
+            The schedule is included in the PDF export.
+        </div>
+        <div class="table-responsive">
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Week</th>
+                        <th>Dates</th>
+                        <th>Skills</th>
+                        <th class="text-end">Hours</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${plan.weeks.map(week => `
+                        <tr>
+                            <td>${week.week}</td>
+                            <td class="text-nowrap">${week.startDate} – ${week.endDate}</td>
+                            <td>${week.skills.map(s => `${s.skill} <small class="text-muted">(${s.hours}h)</small>`).join(', ')}</td>
+                            <td class="text-end">${week.hours}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
 }
 
 /**
@@ -438,6 +725,7 @@ async function exportPDF() {
             body: JSON.stringify({
                 validationResults: currentResults,
                 userSkills: currentUserSkills,
+                learningPlan: currentLearningPlan,
                 track
             })
         });
@@ -467,6 +755,62 @@ async function exportPDF() {
     }
 }
 
+/**
+ * Export learning plan as an iCalendar file
+ * Uses the weekly schedule if one was built, otherwise the default schedule
+ */
+async function exportCalendar() {
+    if (!currentResults) {
+        showToast('Error', 'No results to export', 'error');
+        return;
+    }
+    
+    if (!currentResults.gapCount) {
+        showToast('Nothing to schedule', 'You have no skill gaps to plan for');
+        return;
+    }
+    
+    showLoading(true, 'Building calendar...');
+    
+    try {
+        const response = await fetch('/api/export-ics', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                validationResults: currentResults,
+                learningPlan: currentLearningPlan || undefined,
+                userSkills: currentUserSkills
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Calendar export failed');
+        }
+        
+        // Download .ics
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `learning-plan-${currentResults.track}-${Date.now()}.ics`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+        
+        showToast('Success', 'Calendar file downloaded');
+        
+    } catch (error) {
+        console.error('Calendar export error:', error);
+        showToast('Error', error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
 /**
  * Save settings
  */
@@ -495,9 +839,11 @@ function resetAll() {
     storageManager.clearAll();
     currentUserSkills = [];
     currentResults = null;
+    currentLearningPlan = null;
     
     // Reset UI
-    document.getElementById('trackFullstack').checked = true;
+    document.getElementById('track-fullstack').checked = true;
+    document.getElementById('targetLevel').value = '';
     document.getElementById('skillInput').value = '';
     document.getElementById('selectedSkills').innerHTML = '';
     document.getElementById('skillCount').textContent = '0';
@@ -566,5 +912,17 @@ function showToast(title, message, type = 'success') {
     bsToast.show();
 }
 
+/**
+ * Escape user-entered text before putting it into HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Make functions global for onclick handlers
 window.removeSkill = removeSkill;
@@ -12,7 +12,9 @@ class ChartRenderer {
             warning: '#F18F01',
             danger: '#D64045',
             github: '#6e5494',
-            stackoverflow: '#F48024'
+            stackoverflow: '#F48024',
+            npm: '#CB3837',
+            jobs: '#16A085'
         };
     }
 
@@ -140,8 +142,10 @@ class ChartRenderer {
 
     /**
      * Render demand trend chart
+     * sources: the demand providers from the trends response ({ id, label, color })
+     * window: the trends response's window ({ months, granularity }), shown in the title
      */
-    renderTrendChart(trendData, containerId) {
+    renderTrendChart(trendData, containerId, sources = [], window = null) {
         const container = document.getElementById(containerId);
         if (!container) return;
 
@@ -165,11 +169,25 @@ class ChartRenderer {
         ctx.fillStyle = '#333';
         ctx.font = 'bold 18px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText('Demand Trend Over Time', canvas.width / 2, 30);
+        ctx.fillText(window
+            ? `Demand Trend: Past ${window.months} months (${window.granularity})`
+            : 'Demand Trend Over Time', canvas.width / 2, 30);
+
+        // One line per demand provider, plus the weighted combination
+        const series = sources.map(source => ({
+            label: source.label,
+            color: source.color || this.colors[source.id] || this.colors.secondary,
+            value: d => d.sources?.[source.id] || 0,
+            lineWidth: 2
+        }));
+        if (trendData[0].combined !== undefined) {
+            series.push({ label: 'Combined', color: this.colors.primary, value: d => d.combined || 0, lineWidth: 3 });
+        }
 
         // Find max value
         const maxValue = Math.max(
-            ...trendData.map(d => Math.max(d.github || 0, d.stackoverflow || 0, d.combined || 0))
+            0,
+            ...trendData.map(d => Math.max(0, ...series.map(line => line.value(d))))
         );
 
         if (maxValue === 0) {
@@ -220,18 +238,18 @@ class ChartRenderer {
         const xStep = chartWidth / (trendData.length - 1 || 1);
         trendData.forEach((data, index) => {
             const x = padding.left + (index * xStep);
-            ctx.fillText(data.label || data.month, x, padding.top + chartHeight + 25);
+            ctx.fillText(data.label || data.period, x, padding.top + chartHeight + 25);
         });
 
         // Draw lines
-        const drawLine = (dataKey, color, lineWidth = 2) => {
+        const drawLine = ({ value: getValue, color, lineWidth = 2 }) => {
             ctx.strokeStyle = color;
             ctx.lineWidth = lineWidth;
             ctx.beginPath();
 
             trendData.forEach((data, index) => {
                 const x = padding.left + (index * xStep);
-                const value = data[dataKey] || 0;
+                const value = getValue(data);
                 const y = padding.top + chartHeight - (value * yScale);
 
                 if (index === 0) {
@@ -247,7 +265,7 @@ class ChartRenderer {
             ctx.fillStyle = color;
             trendData.forEach((data, index) => {
                 const x = padding.left + (index * xStep);
-                const value = data[dataKey] || 0;
+                const value = getValue(data);
                 const y = padding.top + chartHeight - (value * yScale);
 
                 ctx.beginPath();
@@ -257,29 +275,11 @@ class ChartRenderer {
         };
 
         // Draw all trend lines
-        if (trendData[0].github !== undefined) {
-            drawLine('github', this.colors.github, 2);
-        }
-        if (trendData[0].stackoverflow !== undefined) {
-            drawLine('stackoverflow', this.colors.stackoverflow, 2);
-        }
-        if (trendData[0].combined !== undefined) {
-            drawLine('combined', this.colors.primary, 3);
-        }
+        series.forEach(line => drawLine(line));
 
         // Legend
         const legendY = canvas.height - 20;
-        const legendItems = [];
-        
-        if (trendData[0].github !== undefined) {
-            legendItems.push({ label: 'GitHub', color: this.colors.github });
-        }
-        if (trendData[0].stackoverflow !== undefined) {
-            legendItems.push({ label: 'Stack Overflow', color: this.colors.stackoverflow });
-        }
-        if (trendData[0].combined !== undefined) {
-            legendItems.push({ label: 'Combined', color: this.colors.primary });
-        }
+        const legendItems = series;
 
         let legendX = (canvas.width - (legendItems.length * 120)) / 2;
         legendItems.forEach(item => {
@@ -6,6 +6,41 @@
 class SkillsManager {
     constructor() {
         this.allSkills = window.APP_DATA?.allSkills || [];
+        this.aliasIndex = this.buildAliasIndex(window.APP_DATA?.skillAliases || {});
+    }
+
+    /**
+     * Build comparison key (same rules as the server: ignore case and punctuation)
+     */
+    toSkillKey(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9+#]/g, '');
+    }
+
+    /**
+     * Build key -> canonical name lookup from skill names and aliases
+     */
+    buildAliasIndex(skillAliases) {
+        const index = new Map();
+
+        this.allSkills.forEach(skill => index.set(this.toSkillKey(skill), skill));
+
+        Object.entries(skillAliases).forEach(([skill, aliases]) => {
+            aliases.forEach(alias => {
+                const key = this.toSkillKey(alias);
+                if (!index.has(key)) {
+                    index.set(key, skill);
+                }
+            });
+        });
+
+        return index;
+    }
+
+    /**
+     * Resolve a skill name or alias to its canonical name (null if unknown)
+     */
+    resolveSkill(skillName) {
+        return this.aliasIndex.get(this.toSkillKey(skillName)) || null;
     }
 
     /**
@@ -27,9 +62,7 @@ class SkillsManager {
      * Validate skill name
      */
     isValidSkill(skillName) {
-        return this.allSkills.some(skill => 
-            skill.toLowerCase() === skillName.toLowerCase()
-        );
+        return this.resolveSkill(skillName) !== null;
     }
 
     /**
@@ -48,15 +81,10 @@ class SkillsManager {
     }
 
     /**
-     * Format skill name (capitalize properly)
+     * Format skill name (canonical name for known skills and aliases)
      */
     formatSkillName(skillName) {
-        // Find exact match in all skills (case-insensitive)
-        const exactMatch = this.allSkills.find(skill => 
-            skill.toLowerCase() === skillName.toLowerCase()
-        );
-
-        return exactMatch || skillName;
+        return this.resolveSkill(skillName) || skillName;
     }
 
     /**
@@ -8,6 +8,7 @@ const STORAGE_KEYS = {
     SKILLS: 'drv_skills',
     LAST_RESULTS: 'drv_last_results',
     SORT_PREFERENCE: 'drv_sort_preference',
+    TARGET_LEVEL: 'drv_target_level',
     DASHBOARD_TOGGLE: 'drv_dashboard_toggle',
     GITHUB_TOKEN: 'drv_github_token',
     SO_KEY: 'drv_so_key'
@@ -76,6 +77,24 @@ class StorageManager {
         return localStorage.getItem(STORAGE_KEYS.SORT_PREFERENCE) || 'impact';
     }
 
+    /**
+     * Save target seniority level ('' for all core skills)
+     */
+    saveTargetLevel(level) {
+        if (level) {
+            localStorage.setItem(STORAGE_KEYS.TARGET_LEVEL, level);
+        } else {
+            localStorage.removeItem(STORAGE_KEYS.TARGET_LEVEL);
+        }
+    }
+
+    /**
+     * Get target seniority level
+     */
+    getTargetLevel() {
+        return localStorage.getItem(STORAGE_KEYS.TARGET_LEVEL) || '';
+    }
+
     /**
      * Save dashboard toggle preference
      */
@@ -0,0 +1,22 @@
+/**
+ * Roadmap lint command
+ * Usage: npm run lint:roadmaps
+ * Exits with status 1 when any track has integrity problems
+ */
+
+import { lintRoadmaps } from '../src/config/roadmapLint.js';
+import { roadmapRegistry } from '../src/config/roadmapLoader.js';
+
+const issues = lintRoadmaps();
+
+if (issues.length === 0) {
+  console.log(`[Roadmap Lint] No problems found in ${roadmapRegistry.directory}`);
+  process.exit(0);
+}
+
+issues.forEach(issue => {
+  console.error(`${issue.track} > ${issue.skill}: ${issue.message} (${issue.rule})`);
+});
+
+console.error(`\n[Roadmap Lint] ${issues.length} problem(s) found in ${roadmapRegistry.directory}`);
+process.exit(1);
@@ -0,0 +1,88 @@
+/**
+ * Demand snapshot command
+ * Usage: npm run snapshot:record -- [--track frontend] [--months 6] [--granularity monthly]
+ *                                  [--no-trends] [--out file.json]
+ * Records GitHub, Stack Overflow and npm demand for every roadmap skill so
+ * OFFLINE_MODE can answer from it (for the recorded window only). Requests
+ * run one at a time to stay within rate limits; set GITHUB_TOKEN and
+ * STACKOVERFLOW_KEY for large runs.
+ */
+
+import 'dotenv/config';
+import { getTrackIds, getCoreSkills } from '../src/config/roadmaps.js';
+import demandProviders from '../src/services/demandProviders.js';
+import snapshotService from '../src/services/snapshotService.js';
+import { resolveWindow, validateWindow, describeWindow } from '../src/services/demandWindow.js';
+
+const PROVIDER_IDS = ['github', 'stackoverflow', 'npm'];
+
+function getOption(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+const tracks = getOption('--track') ? [getOption('--track')] : getTrackIds();
+const withTrends = !process.argv.includes('--no-trends');
+const file = getOption('--out') || snapshotService.file;
+const requestedWindow = { months: getOption('--months'), granularity: getOption('--granularity') };
+
+const unknown = tracks.filter(track => !getTrackIds().includes(track));
+if (unknown.length > 0) {
+  console.error(`[Snapshot] Unknown track: ${unknown.join(', ')}`);
+  process.exit(1);
+}
+
+const windowError = validateWindow(requestedWindow);
+if (windowError) {
+  console.error(`[Snapshot] ${windowError}`);
+  process.exit(1);
+}
+const window = resolveWindow(requestedWindow);
+
+// Always record live data, even if OFFLINE_MODE is set in the environment
+snapshotService.setOffline(false);
+
+const snapshot = snapshotService.createSnapshot(new Date(), window);
+console.log(`[Snapshot] Recording ${describeWindow(window).toLowerCase()}`);
+let recorded = 0;
+let failed = 0;
+
+for (const track of tracks) {
+  for (const { name } of getCoreSkills(track)) {
+    for (const providerId of PROVIDER_IDS) {
+      const provider = demandProviders.getProvider(providerId);
+      const demand = await provider.getSkillDemand(name, track, null, window);
+      const data = demand.data || demand;
+
+      if (data.error) {
+        console.error(`[Snapshot] ${track} > ${name} (${providerId}): ${data.error}`);
+        failed++;
+        continue;
+      }
+
+      const entry = { count: data.count, ...(data.applicable === false && { applicable: false }) };
+
+      if (withTrends) {
+        try {
+          entry.periods = (await provider.getSkillDemandOverTime(name, track, null, window)).data.periods;
+        } catch (error) {
+          console.error(`[Snapshot] ${track} > ${name} (${providerId}) trend: ${error.message}`);
+        }
+      }
+
+      snapshotService.setEntry(snapshot, providerId, track, name, entry);
+      recorded++;
+    }
+  }
+
+  console.log(`[Snapshot] Recorded ${track}`);
+}
+
+if (recorded === 0) {
+  console.error('\n[Snapshot] Nothing recorded; the snapshot file was not written');
+  process.exit(1);
+}
+
+snapshotService.save(snapshot, file);
+console.log(`\n[Snapshot] Wrote ${recorded} entries to ${file}${failed > 0 ? ` (${failed} failed)` : ''}`);
+process.exit(0);
@@ -5,7 +5,8 @@ export const CONSTANTS = {
   ROADMAP_SOURCE: 'roadmap.sh',
   ROADMAP_SOURCE_URL: 'https://roadmap.sh',
 
-  // Tracks
+  // Track ids referenced in code
+  // The available tracks come from the roadmap registry (getTrackIds)
   TRACKS: {
     FRONTEND: 'frontend',
     BACKEND: 'backend',
@@ -19,12 +20,50 @@ export const CONSTANTS = {
     STRONG: 'strong'
   },
 
+  // Seniority levels for targeted validation (ordered junior -> senior)
+  SENIORITY_LEVELS: {
+    JUNIOR: 'junior',
+    MID: 'mid',
+    SENIOR: 'senior'
+  },
+
+  // Expected proficiency when a roadmap skill does not define one
+  DEFAULT_EXPECTED_PROFICIENCY: 'intermediate',
+
+  // Partial coverage credit for a skill held below its expected proficiency
+  PROFICIENCY_CREDIT: {
+    beginner: 0.4,
+    intermediate: 0.7,
+    strong: 1
+  },
+
+  // Estimated learning effort when a roadmap skill does not define one
+  DEFAULT_ESTIMATED_HOURS: 20,
+
+  // Learning plan (week-by-week schedule) settings
+  LEARNING_PLAN: {
+    DEFAULT_HOURS_PER_WEEK: 10,
+    MIN_HOURS_PER_WEEK: 1,
+    MAX_HOURS_PER_WEEK: 60
+  },
+
+  // iCalendar export
+  CALENDAR: {
+    PRODID: '-//Developer Roadmap Validator//Learning Plan//EN',
+    UID_DOMAIN: 'developer-roadmap-validator',
+    ITEM_TYPES: {
+      EVENT: 'event',
+      TASK: 'task'
+    }
+  },
+
   // Sorting options
   SORT_OPTIONS: {
     IMPACT: 'impact',
     DEMAND: 'demand',
     LEARNING_ORDER: 'learning_order',
-    QUICK_WINS: 'quick_wins'
+    QUICK_WINS: 'quick_wins',
+    TRENDING: 'trending'
   },
 
   // Demand categories
@@ -34,21 +73,92 @@ export const CONSTANTS = {
     HIGH: 'high'
   },
 
-  // Demand thresholds for categorization
+  // Demand thresholds for categorization (used when fewer than
+  // DEMAND_PERCENTILES.MIN_SAMPLE skills have demand data)
   DEMAND_THRESHOLDS: {
     HIGH: 1000,      // Combined score >= 1000
     MEDIUM: 300      // Combined score >= 300 and < 1000
   },
 
-  // Time windows for demand analysis
-  DEMAND_WINDOW_MONTHS: 6,
+  // Demand categories relative to the other skills in the roadmap
+  // (percentile of the normalized score; smaller samples use DEMAND_THRESHOLDS)
+  DEMAND_PERCENTILES: {
+    HIGH: 67,        // Percentile >= 67
+    MEDIUM: 33,      // Percentile >= 33 and < 67
+    MIN_SAMPLE: 5
+  },
+
+  // Demand trend labels
+  TREND_LABELS: {
+    RISING: 'rising',
+    STABLE: 'stable',
+    DECLINING: 'declining'
+  },
+
+  // Trend analysis
+  TRENDS: {
+    RISING_SLOPE_PERCENT: 5,   // Fitted slope >= 5% of the mean per month (<= -5% is declining)
+    WEEKS_PER_MONTH: 52 / 12,
+    FORECAST_MONTHS: 3,
+    CONFIDENCE_Z: 1.96         // ~95% prediction interval
+  },
+
+  // Time windows for demand analysis (selectable per request)
+  DEMAND_WINDOW: {
+    MONTH_OPTIONS: [3, 6, 12, 24],
+    DEFAULT_MONTHS: 6,
+    GRANULARITIES: {
+      WEEKLY: 'weekly',
+      MONTHLY: 'monthly'
+    },
+    DEFAULT_GRANULARITY: 'monthly'
+  },
+
+  // Job posting corpus (JOB_POSTINGS_DIR)
+  JOB_POSTINGS: {
+    DATE_FIELDS: ['postedAt', 'posted_at', 'datePosted', 'date_posted', 'date', 'createdAt', 'created_at'],
+    RESCAN_INTERVAL_MS: 60 * 1000
+  },
   
   // Cache configuration
   CACHE: {
     DEFAULT_TTL_HOURS: 12,
     MAX_SIZE: 100,
     MIN_TTL_HOURS: 6,
-    MAX_TTL_HOURS: 24
+    MAX_TTL_HOURS: 24,
+    // Per-namespace TTLs (CACHE_NAMESPACE_TTLS overrides): trends change slowly
+    NAMESPACE_TTL_HOURS: {
+      'github:demand-trend': 24,
+      'stackoverflow:demand-trend': 24,
+      'npm:demand-trend': 24
+    },
+    // How long an expired value can still be served while it is refreshed
+    STALE_TTL_HOURS: 24,
+    // How long a failed fetch is remembered before it is retried
+    ERROR_TTL_SECONDS: 120,
+    STATUS: {
+      FRESH: 'fresh',
+      STALE: 'stale',
+      REFRESHED: 'refreshed'
+    },
+    STORES: {
+      MEMORY: 'memory',
+      FILE: 'file'
+    },
+    // Delay before changes are written to a file store (batches bursts of sets)
+    FLUSH_DELAY_MS: 5000,
+    WARMUP: {
+      // Hours between warm-up runs (0 disables them)
+      INTERVAL_HOURS: 0,
+      START_DELAY_MS: 60000,
+      // Pause after each skill that needed upstream calls
+      SPACING_MS: 10000,
+      // Calls per provider left for users
+      QUOTA_RESERVE: 5,
+      // Longest wait for a provider's quota to reset before skipping it
+      MAX_QUOTA_WAIT_MS: 120000,
+      MAX_ERRORS: 50
+    }
   },
 
   // Rate limiting
@@ -58,10 +168,24 @@ export const CONSTANTS = {
     MAX_PER_KEY: 50
   },
 
+  // Upstream HTTP requests (retries and circuit breakers)
+  HTTP: {
+    MAX_RETRIES: 3,
+    BASE_DELAY_MS: 500,                 // Doubles per retry, with jitter
+    MAX_WAIT_MS: 30000,                 // Longer rate limits fail instead of waiting
+    BREAKER_FAILURE_THRESHOLD: 5,       // Failed requests in a row before a service is paused
+    BREAKER_COOLDOWN_MS: 60000
+  },
+
   // API configuration
   API: {
     GITHUB_BASE_URL: 'https://api.github.com',
+    GITHUB_GRAPHQL_URL: 'https://api.github.com/graphql',
+    GITHUB_API_MODES: { REST: 'rest', GRAPHQL: 'graphql' },
+    GITHUB_GRAPHQL_BATCH_SIZE: 20, // search aliases per GraphQL request
     STACKOVERFLOW_BASE_URL: 'https://api.stackexchange.com/2.3',
+    NPM_BASE_URL: 'https://api.npmjs.org',
+    NPM_RANGE_MONTHS: 12,      // Per range request (the API serves up to 18 months)
     GITHUB_RATE_LIMIT_AUTHENTICATED: 5000,
     GITHUB_RATE_LIMIT_UNAUTHENTICATED: 60,
     STACKOVERFLOW_RATE_LIMIT_AUTHENTICATED: 10000,
@@ -80,7 +204,9 @@ export const CONSTANTS = {
       WARNING: '#F1C40F',
       INFO: '#3498DB',
       GITHUB: '#6e5494',
-      STACKOVERFLOW: '#F48024'
+      STACKOVERFLOW: '#F48024',
+      NPM: '#CB3837',
+      JOBS: '#16A085'
     }
   },
 
@@ -104,6 +230,7 @@ export const CONSTANTS = {
     SKILLS: 'drv_skills',
     LAST_RESULTS: 'drv_last_results',
     SORT_PREFERENCE: 'drv_sort_preference',
+    TARGET_LEVEL: 'drv_target_level',
     DASHBOARD_TOGGLE: 'drv_dashboard_toggle',
     API_KEYS: 'drv_api_keys',
     GITHUB_TOKEN: 'drv_github_token',
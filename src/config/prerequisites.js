@@ -1,214 +1,12 @@
 /**
  * Prerequisite chains for learning order
- * Format: skill -> [prerequisites]
+ * Format: skill -> [prerequisites], loaded with the roadmap definitions
  */
 
-export const PREREQUISITES = {
-  frontend: {
-    // Fundamentals have no prerequisites
-    'HTML': [],
-    'CSS': ['HTML'],
-    'JavaScript': ['HTML'],
-    
-    // Advanced CSS
-    'CSS Flexbox': ['CSS'],
-    'CSS Grid': ['CSS'],
-    'Responsive Design': ['CSS', 'CSS Flexbox'],
-    'Sass/SCSS': ['CSS'],
-    'CSS-in-JS': ['CSS', 'JavaScript'],
-    'Tailwind CSS': ['CSS'],
-    
-    // JavaScript progression
-    'ES6+': ['JavaScript'],
-    'DOM Manipulation': ['JavaScript'],
-    'Event Handling': ['JavaScript', 'DOM Manipulation'],
-    'Promises': ['JavaScript', 'ES6+'],
-    'Async/Await': ['Promises'],
-    'Fetch API': ['Promises', 'Async/Await'],
-    
-    // React ecosystem
-    'React': ['JavaScript', 'ES6+', 'HTML', 'CSS'],
-    'Component Architecture': ['React'],
-    'React Hooks': ['React', 'Component Architecture'],
-    'State Management': ['React', 'React Hooks'],
-    
-    // Build tools
-    'npm/yarn': ['JavaScript'],
-    'Babel': ['JavaScript', 'ES6+'],
-    'Webpack': ['npm/yarn', 'JavaScript'],
-    'Vite': ['npm/yarn', 'JavaScript'],
-    
-    // Version control
-    'Git': [],
-    'GitHub': ['Git'],
-    
-    // Web APIs
-    'Local Storage': ['JavaScript'],
-    'Web Storage': ['JavaScript'],
-    
-    // Browser
-    'Browser DevTools': ['HTML', 'CSS', 'JavaScript'],
-    'Browser Compatibility': ['HTML', 'CSS', 'JavaScript'],
-    
-    // Performance
-    'Performance Optimization': ['JavaScript', 'React'],
-    'Lazy Loading': ['JavaScript', 'React'],
-    'Code Splitting': ['Webpack', 'React'],
-    
-    // Testing
-    'Unit Testing': ['JavaScript'],
-    'Jest': ['JavaScript', 'Unit Testing'],
-    'React Testing Library': ['React', 'Jest'],
-    
-    // Accessibility
-    'Web Accessibility': ['HTML', 'CSS'],
-    'ARIA': ['HTML', 'Web Accessibility'],
-    
-    // Advanced
-    'TypeScript': ['JavaScript', 'ES6+'],
-    'SEO Basics': ['HTML'],
-    'Progressive Web Apps': ['JavaScript', 'Service Workers', 'Fetch API'],
-    'Web Components': ['JavaScript', 'HTML', 'CSS']
-  },
+import { roadmapRegistry } from './roadmapLoader.js';
+import { ROADMAPS } from './roadmaps.js';
 
-  backend: {
-    // Fundamentals
-    'JavaScript': [],
-    'Node.js': ['JavaScript'],
-    'JSON': ['JavaScript'],
-    'HTTP/HTTPS': [],
-    
-    // Express
-    'Express.js': ['Node.js', 'JavaScript'],
-    'Middleware': ['Express.js'],
-    'Routing': ['Express.js'],
-    
-    // APIs
-    'REST APIs': ['HTTP/HTTPS', 'JSON'],
-    'RESTful Design': ['REST APIs', 'Express.js'],
-    'API Versioning': ['RESTful Design'],
-    'GraphQL': ['JavaScript', 'REST APIs'],
-    'Error Handling': ['Express.js', 'REST APIs'],
-    'API Testing': ['REST APIs', 'Unit Testing'],
-    
-    // Databases
-    'SQL': [],
-    'Database Design': ['SQL'],
-    'PostgreSQL': ['SQL', 'Database Design'],
-    'MySQL': ['SQL', 'Database Design'],
-    'MongoDB': ['JSON'],
-    'ORMs': ['SQL', 'Node.js'],
-    'Redis': ['Node.js'],
-    
-    // Security
-    'Authentication': ['Express.js', 'HTTP/HTTPS'],
-    'Authorization': ['Authentication'],
-    'JWT': ['Authentication', 'JSON'],
-    'OAuth': ['Authentication'],
-    'Encryption': ['JavaScript'],
-    'HTTPS/TLS': ['HTTP/HTTPS'],
-    
-    // Async
-    'Promises': ['JavaScript'],
-    'Async/Await': ['Promises', 'JavaScript'],
-    'Event Loop': ['JavaScript', 'Node.js'],
-    
-    // Testing
-    'Unit Testing': ['JavaScript'],
-    'Integration Testing': ['Unit Testing', 'Express.js'],
-    'Jest': ['JavaScript', 'Unit Testing'],
-    
-    // DevOps
-    'Environment Variables': ['Node.js'],
-    'Logging': ['Node.js'],
-    'Deployment': ['Node.js', 'Environment Variables'],
-    'CI/CD Basics': ['Git', 'Deployment'],
-    'Docker': ['Node.js', 'Deployment'],
-    
-    // Performance
-    'Caching': ['Node.js'],
-    'Rate Limiting': ['Express.js'],
-    'Load Balancing': ['Deployment'],
-    
-    // Version control
-    'Git': [],
-    'GitHub': ['Git'],
-    
-    // Advanced
-    'Message Queues': ['Node.js', 'Async/Await'],
-    'Microservices': ['REST APIs', 'Docker'],
-    'WebSockets': ['Node.js', 'HTTP/HTTPS'],
-    'TypeScript': ['JavaScript']
-  },
-
-  fullstack: {
-    // Core fundamentals
-    'HTML': [],
-    'CSS': ['HTML'],
-    'JavaScript': ['HTML'],
-    'Git': [],
-    'GitHub': ['Git'],
-    
-    // Frontend basics
-    'Responsive Design': ['CSS', 'CSS Flexbox'],
-    'CSS Flexbox': ['CSS'],
-    'CSS Grid': ['CSS'],
-    'Browser DevTools': ['HTML', 'CSS', 'JavaScript'],
-    
-    // JavaScript progression
-    'ES6+': ['JavaScript'],
-    'Async/Await': ['JavaScript', 'ES6+'],
-    'Fetch API': ['JavaScript', 'Async/Await'],
-    
-    // React
-    'React': ['JavaScript', 'ES6+', 'HTML', 'CSS'],
-    'State Management': ['React'],
-    
-    // Backend fundamentals
-    'Node.js': ['JavaScript'],
-    'HTTP/HTTPS': [],
-    'REST APIs': ['HTTP/HTTPS', 'JSON'],
-    'Express.js': ['Node.js'],
-    
-    // Full stack integration
-    'RESTful Design': ['REST APIs', 'Express.js'],
-    'Error Handling': ['Express.js', 'React'],
-    
-    // Databases
-    'SQL': [],
-    'Database Design': ['SQL'],
-    'PostgreSQL': ['SQL', 'Database Design'],
-    'MongoDB': ['Node.js'],
-    
-    // Security
-    'Authentication': ['Express.js', 'HTTP/HTTPS'],
-    'Authorization': ['Authentication'],
-    'JWT': ['Authentication'],
-    'Encryption': ['JavaScript'],
-    
-    // Build and deploy
-    'npm/yarn': ['JavaScript'],
-    'Webpack': ['npm/yarn', 'JavaScript'],
-    'Environment Variables': ['Node.js'],
-    'Deployment': ['Node.js', 'Environment Variables'],
-    
-    // Testing
-    'Unit Testing': ['JavaScript'],
-    'Integration Testing': ['Unit Testing', 'Express.js'],
-    'Jest': ['JavaScript', 'Unit Testing'],
-    
-    // Performance
-    'Caching': ['Node.js'],
-    'Performance Optimization': ['JavaScript', 'React'],
-    'Rate Limiting': ['Express.js'],
-    
-    // Advanced
-    'TypeScript': ['JavaScript', 'ES6+'],
-    'Docker': ['Node.js', 'Deployment'],
-    'Web Accessibility': ['HTML', 'CSS'],
-    'Logging': ['Node.js']
-  }
-};
+export const PREREQUISITES = roadmapRegistry.prerequisites;
 
 /**
  * Get prerequisites for a skill in a track
@@ -231,50 +29,176 @@ export function prerequisitesMet(track, skillName, learnedSkills) {
 }
 
 /**
- * Get learning order for a set of skills
- * Returns skills sorted by dependency order
+ * Find prerequisite cycles with a depth-first search
+ * Returns each cycle once, as a list of skills ending where it started
  */
-export function getLearningOrder(track, skillNames) {
-  const trackPrereqs = PREREQUISITES[track];
-  if (!trackPrereqs) {
-    return skillNames;
-  }
+export function findPrerequisiteCycles(trackPrereqs) {
+  const cycles = [];
+  const seenCycles = new Set();
+  const state = new Map(); // skill -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = (skill) => {
+    if (state.get(skill) === 'done') return;
+    if (state.get(skill) === 'visiting') {
+      const cycle = [...stack.slice(stack.indexOf(skill)), skill];
+      const key = [...new Set(cycle)].sort().join('|');
+      if (!seenCycles.has(key)) {
+        seenCycles.add(key);
+        cycles.push(cycle);
+      }
+      return;
+    }
 
-  const ordered = [];
-  const remaining = new Set(skillNames);
-  const processed = new Set();
+    state.set(skill, 'visiting');
+    stack.push(skill);
+    (trackPrereqs[skill] || []).forEach(visit);
+    stack.pop();
+    state.set(skill, 'done');
+  };
 
-  // Keep processing until all skills are ordered
-  let maxIterations = skillNames.length * 2;
-  let iterations = 0;
+  Object.keys(trackPrereqs).forEach(visit);
+  return cycles;
+}
 
-  while (remaining.size > 0 && iterations < maxIterations) {
-    iterations++;
-    let addedThisRound = false;
+/**
+ * Collect the nearest planned skills a skill depends on
+ * Walks through prerequisites outside the plan so transitive ordering is kept
+ */
+function findPlannedPrerequisites(trackPrereqs, skill, planned) {
+  const found = new Set();
+  const visited = new Set([skill]);
+  const stack = [...(trackPrereqs[skill] || [])];
+
+  while (stack.length > 0) {
+    const prereq = stack.pop();
+    if (visited.has(prereq)) continue;
+    visited.add(prereq);
+
+    if (planned.has(prereq)) {
+      found.add(prereq);
+    } else {
+      stack.push(...(trackPrereqs[prereq] || []));
+    }
+  }
 
-    for (const skill of remaining) {
-      const prereqs = trackPrereqs[skill] || [];
-      const allPrereqsMet = prereqs.every(prereq => 
-        processed.has(prereq) || !skillNames.includes(prereq)
-      );
+  return Array.from(found);
+}
 
-      if (allPrereqsMet) {
-        ordered.push(skill);
-        processed.add(skill);
-        remaining.delete(skill);
-        addedThisRound = true;
-      }
+/**
+ * Plan the order to learn a set of skills
+ * Prerequisites the user lacks are added transitively (unless expand is false),
+ * skills are topologically sorted with ties broken by weight, then demand, then name,
+ * and each step lists the earlier steps that unlock it. Skills caught in a
+ * prerequisite cycle are appended at the end and the cycles are reported.
+ *
+ * Options:
+ * - knownSkills: skills the user already has (never added, not expanded through)
+ * - weights: { skill: weight } (defaults to the roadmap weight)
+ * - demand: { skill: normalizedScore }
+ * - expand: add missing prerequisites (default true)
+ */
+export function planLearningOrder(track, skillNames, options = {}) {
+  const {
+    knownSkills = [],
+    weights = {},
+    demand = {},
+    expand = true
+  } = options;
+
+  const trackPrereqs = PREREQUISITES[track] || {};
+  const known = new Set(knownSkills.map(s => s.toLowerCase()));
+  const targets = new Set(skillNames);
+  const planned = new Set(skillNames);
+
+  // Expand missing prerequisites transitively
+  if (expand) {
+    const queue = [...skillNames];
+    while (queue.length > 0) {
+      const skill = queue.shift();
+      (trackPrereqs[skill] || []).forEach(prereq => {
+        if (!planned.has(prereq) && !known.has(prereq.toLowerCase())) {
+          planned.add(prereq);
+          queue.push(prereq);
+        }
+      });
     }
+  }
 
-    // If no skills were added, add remaining in alphabetical order
-    if (!addedThisRound && remaining.size > 0) {
-      const remainingArray = Array.from(remaining).sort();
-      ordered.push(...remainingArray);
-      break;
-    }
+  const roadmapWeights = Object.fromEntries(
+    (ROADMAPS[track]?.coreSkills || []).map(skill => [skill.name, skill.weight])
+  );
+  const weightOf = skill => weights[skill] ?? roadmapWeights[skill] ?? 0;
+  const demandOf = skill => demand[skill] ?? 0;
+  const byPriority = (a, b) =>
+    weightOf(b) - weightOf(a) ||
+    demandOf(b) - demandOf(a) ||
+    a.localeCompare(b);
+
+  // Build the dependency graph between planned skills
+  const dependsOn = new Map();
+  const dependents = new Map();
+  planned.forEach(skill => dependents.set(skill, []));
+  planned.forEach(skill => {
+    const prereqs = findPlannedPrerequisites(trackPrereqs, skill, planned);
+    dependsOn.set(skill, prereqs);
+    prereqs.forEach(prereq => dependents.get(prereq).push(skill));
+  });
+
+  // Kahn's algorithm, always taking the highest-priority ready skill
+  const pending = new Map(Array.from(planned, skill => [skill, dependsOn.get(skill).length]));
+  const ready = Array.from(planned).filter(skill => pending.get(skill) === 0);
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort(byPriority);
+    const skill = ready.shift();
+    order.push(skill);
+    pending.delete(skill);
+
+    dependents.get(skill).forEach(dependent => {
+      if (!pending.has(dependent)) return;
+      pending.set(dependent, pending.get(dependent) - 1);
+      if (pending.get(dependent) === 0) {
+        ready.push(dependent);
+      }
+    });
   }
 
-  return ordered;
+  // Whatever is left depends on a cycle
+  const blocked = Array.from(pending.keys()).sort(byPriority);
+  const cycleGraph = Object.fromEntries(
+    blocked.map(skill => [skill, dependsOn.get(skill).filter(prereq => pending.has(prereq))])
+  );
+  const cycles = findPrerequisiteCycles(cycleGraph);
+  const inCycle = new Set(cycles.flat());
+
+  const stepOf = new Map();
+  const steps = [...order, ...blocked].map((skill, index) => {
+    stepOf.set(skill, index + 1);
+    return {
+      step: index + 1,
+      skill,
+      weight: weightOf(skill),
+      demandScore: demandOf(skill),
+      addedAsPrerequisite: !targets.has(skill),
+      unlockedBy: dependsOn.get(skill)
+        .filter(prereq => stepOf.has(prereq))
+        .sort((a, b) => stepOf.get(a) - stepOf.get(b))
+        .map(prereq => ({ step: stepOf.get(prereq), skill: prereq })),
+      inCycle: inCycle.has(skill)
+    };
+  });
+
+  return { steps, cycles };
+}
+
+/**
+ * Get learning order for a set of skills
+ * Returns skill names sorted by dependency order (see planLearningOrder)
+ */
+export function getLearningOrder(track, skillNames) {
+  return planLearningOrder(track, skillNames, { expand: false }).steps.map(step => step.skill);
 }
 
 /**
@@ -0,0 +1,134 @@
+/**
+ * Roadmap composition
+ * Resolves tracks that extend other tracks ("extends" + "overrides") into
+ * plain definitions, so derived tracks such as fullstack stay consistent
+ * with the tracks they are built from
+ */
+
+import { RoadmapSchemaError } from './roadmapSchema.js';
+
+export const BOTH_SECTIONS = 'both';
+
+/**
+ * Combine the section tags of a skill inherited from several parents
+ */
+function mergeSection(current, incoming) {
+  if (current === undefined) return incoming;
+  if (incoming === undefined || current === incoming) return current;
+  return BOTH_SECTIONS;
+}
+
+/**
+ * Merge a parent skill into the skill collected so far
+ * The heavier entry wins; aliases are combined
+ */
+function mergeSkill(existing, skill, section = skill.section) {
+  if (!existing) {
+    const merged = { ...skill };
+    if (section !== undefined) merged.section = section;
+    return merged;
+  }
+
+  const base = skill.weight > existing.weight ? skill : existing;
+  const aliases = [...new Set([...(existing.aliases || []), ...(skill.aliases || [])])];
+  const merged = { ...base, section: mergeSection(existing.section, section) };
+
+  if (aliases.length > 0) merged.aliases = aliases;
+  if (merged.section === undefined) delete merged.section;
+  return merged;
+}
+
+/**
+ * Resolve one definition against the already-resolved definitions by id
+ */
+function composeDefinition(definition, resolve) {
+  if (!definition.extends) {
+    return definition;
+  }
+
+  const skills = new Map();
+  const prerequisites = {};
+
+  definition.extends.forEach(({ track, section, include }) => {
+    const parent = resolve(track, definition.id);
+    const parentSkills = new Map(parent.coreSkills.map(skill => [skill.name, skill]));
+    const names = include || parent.coreSkills.map(skill => skill.name);
+
+    names.forEach(name => {
+      const skill = parentSkills.get(name);
+      if (!skill) {
+        throw new RoadmapSchemaError(definition.id, [
+          `extends ${track} with "${name}", which is not a core skill of ${track}`
+        ]);
+      }
+
+      skills.set(name, mergeSkill(skills.get(name), skill, section));
+
+      const parentPrereqs = parent.prerequisites?.[name];
+      if (parentPrereqs) {
+        prerequisites[name] = [...new Set([...(prerequisites[name] || []), ...parentPrereqs])];
+      }
+    });
+  });
+
+  (definition.coreSkills || []).forEach(skill => {
+    skills.set(skill.name, { ...skill });
+  });
+
+  Object.entries(definition.overrides || {}).forEach(([name, override]) => {
+    if (!skills.has(name)) {
+      throw new RoadmapSchemaError(definition.id, [
+        `overrides "${name}", which is not a core skill of ${definition.id}`
+      ]);
+    }
+    skills.set(name, { ...skills.get(name), ...override });
+  });
+
+  // Inherited prerequisites only keep skills the composed track contains
+  Object.keys(prerequisites).forEach(name => {
+    prerequisites[name] = prerequisites[name].filter(prereq => skills.has(prereq));
+  });
+
+  const { extends: _extends, overrides: _overrides, ...rest } = definition;
+  return {
+    ...rest,
+    coreSkills: Array.from(skills.values()),
+    prerequisites: { ...prerequisites, ...(definition.prerequisites || {}) }
+  };
+}
+
+/**
+ * Resolve every definition that extends other tracks
+ * Parents may themselves extend tracks; cycles and unknown parents are rejected
+ */
+export function composeRoadmapDefinitions(definitions) {
+  const byId = new Map(definitions.map(definition => [definition.id, definition]));
+  const resolved = new Map();
+  const resolving = new Set();
+
+  const resolve = (id, requestedBy = null) => {
+    if (resolved.has(id)) {
+      return resolved.get(id);
+    }
+
+    const definition = byId.get(id);
+    if (!definition) {
+      throw new RoadmapSchemaError(requestedBy, [`extends unknown track "${id}"`]);
+    }
+
+    if (resolving.has(id)) {
+      throw new RoadmapSchemaError(id, [`extends itself through ${[...resolving, id].join(' -> ')}`]);
+    }
+
+    resolving.add(id);
+    const composed = composeDefinition(definition, resolve);
+    resolving.delete(id);
+
+    resolved.set(id, composed);
+    return composed;
+  };
+
+  return definitions.map(definition => resolve(definition.id));
+}
+
+export default composeRoadmapDefinitions;
@@ -0,0 +1,291 @@
+/**
+ * Roadmap integrity checks
+ * Detects problems the schema cannot see: prerequisite cycles, dangling
+ * prerequisites, orphan entries, duplicate skills, out-of-range weights and effort,
+ * malformed npm package names, Stack Overflow tags and GitHub topics,
+ * inconsistent seniority levels and aliases that point at more than one skill
+ */
+
+import { ROADMAPS, toSkillKey } from './roadmaps.js';
+import { PREREQUISITES, findPrerequisiteCycles } from './prerequisites.js';
+import { CONSTANTS } from './constants.js';
+
+export const LINT_RULES = {
+  DUPLICATE_SKILL: 'duplicate-skill',
+  WEIGHT_RANGE: 'weight-range',
+  INVALID_SECTION: 'invalid-section',
+  DANGLING_PREREQUISITE: 'dangling-prerequisite',
+  ORPHAN_SKILL: 'orphan-skill',
+  PREREQUISITE_CYCLE: 'prerequisite-cycle',
+  ALIAS_CONFLICT: 'alias-conflict',
+  LEVEL_MISMATCH: 'level-mismatch',
+  EFFORT_RANGE: 'effort-range',
+  NPM_PACKAGE: 'npm-package',
+  STACKOVERFLOW_TAG: 'stackoverflow-tag',
+  GITHUB_TOPIC: 'github-topic'
+};
+
+export { findPrerequisiteCycles };
+
+export const VALID_SECTIONS = ['frontend', 'backend', 'both'];
+
+const MIN_WEIGHT = 1;
+const MAX_WEIGHT = 10;
+const MAX_ESTIMATED_HOURS = 200;
+const NPM_PACKAGE_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+const STACKOVERFLOW_TAG_PATTERN = /^[a-z0-9#+.][a-z0-9#+.-]{0,34}$/;
+const MAX_STACKOVERFLOW_TAGS = 5;
+const GITHUB_TOPIC_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+/**
+ * Check a skill's Stack Overflow tags and GitHub topics
+ * Tags are lowercase, at most 35 characters and at most five per query;
+ * topics are lowercase words joined by hyphens, at most 50 characters
+ */
+function lintSearchTerms(track, skill) {
+  const issues = [];
+  const tags = skill.stackoverflowTags || [];
+
+  tags
+    .filter(tag => !STACKOVERFLOW_TAG_PATTERN.test(tag))
+    .forEach(tag => {
+      issues.push({
+        track,
+        skill: skill.name,
+        rule: LINT_RULES.STACKOVERFLOW_TAG,
+        message: `"${tag}" is not a valid Stack Overflow tag`
+      });
+    });
+
+  if (tags.length > MAX_STACKOVERFLOW_TAGS) {
+    issues.push({
+      track,
+      skill: skill.name,
+      rule: LINT_RULES.STACKOVERFLOW_TAG,
+      message: `${tags.length} Stack Overflow tags given, at most ${MAX_STACKOVERFLOW_TAGS} can be queried`
+    });
+  }
+
+  (skill.githubTopics || [])
+    .filter(topic => !GITHUB_TOPIC_PATTERN.test(topic))
+    .forEach(topic => {
+      issues.push({
+        track,
+        skill: skill.name,
+        rule: LINT_RULES.GITHUB_TOPIC,
+        message: `"${topic}" is not a valid GitHub topic`
+      });
+    });
+
+  return issues;
+}
+
+/**
+ * Check core skill entries (duplicates, weights, effort, npm packages, search terms, sections, levels)
+ */
+function lintCoreSkills(track, coreSkills) {
+  const issues = [];
+  const seen = new Set();
+
+  coreSkills.forEach(skill => {
+    const key = skill.name.toLowerCase();
+    if (seen.has(key)) {
+      issues.push({
+        track,
+        skill: skill.name,
+        rule: LINT_RULES.DUPLICATE_SKILL,
+        message: `"${skill.name}" is listed more than once`
+      });
+    }
+    seen.add(key);
+
+    if (!Number.isInteger(skill.weight) || skill.weight < MIN_WEIGHT || skill.weight > MAX_WEIGHT) {
+      issues.push({
+        track,
+        skill: skill.name,
+        rule: LINT_RULES.WEIGHT_RANGE,
+        message: `weight ${skill.weight} is outside ${MIN_WEIGHT}-${MAX_WEIGHT}`
+      });
+    }
+
+    const hours = skill.estimatedHours;
+    if (hours !== undefined && !(hours >= 1 && hours <= MAX_ESTIMATED_HOURS)) {
+      issues.push({
+        track,
+        skill: skill.name,
+        rule: LINT_RULES.EFFORT_RANGE,
+        message: `estimatedHours ${hours} is outside 1-${MAX_ESTIMATED_HOURS}`
+      });
+    }
+
+    (skill.npmPackages || [])
+      .filter(name => !NPM_PACKAGE_PATTERN.test(name))
+      .forEach(name => {
+        issues.push({
+          track,
+          skill: skill.name,
+          rule: LINT_RULES.NPM_PACKAGE,
+          message: `"${name}" is not a valid npm package name`
+        });
+      });
+
+    issues.push(...lintSearchTerms(track, skill));
+
+    const needsSection = track === 'fullstack' || skill.section !== undefined;
+    if (needsSection && !VALID_SECTIONS.includes(skill.section)) {
+      issues.push({
+        track,
+        skill: skill.name,
+        rule: LINT_RULES.INVALID_SECTION,
+        message: `section "${skill.section}" must be one of: ${VALID_SECTIONS.join(', ')}`
+      });
+    }
+
+    issues.push(...lintSkillLevels(track, skill));
+  });
+
+  return issues;
+}
+
+/**
+ * Check proficiencyByLevel against minLevel: no levels below the minimum,
+ * and expected proficiency never drops as seniority rises
+ */
+function lintSkillLevels(track, skill) {
+  if (!skill.proficiencyByLevel) {
+    return [];
+  }
+
+  const issues = [];
+  const levels = Object.values(CONSTANTS.SENIORITY_LEVELS);
+  const proficiencies = Object.values(CONSTANTS.PROFICIENCY_LEVELS);
+  const minRank = levels.indexOf(skill.minLevel || CONSTANTS.SENIORITY_LEVELS.JUNIOR);
+  let previous = -1;
+
+  levels.forEach((level, rank) => {
+    const proficiency = skill.proficiencyByLevel[level];
+    if (!proficiency) {
+      return;
+    }
+
+    if (rank < minRank) {
+      issues.push({
+        track,
+        skill: skill.name,
+        rule: LINT_RULES.LEVEL_MISMATCH,
+        message: `proficiencyByLevel.${level} is set but minLevel is ${skill.minLevel}`
+      });
+    }
+
+    if (proficiencies.indexOf(proficiency) < previous) {
+      issues.push({
+        track,
+        skill: skill.name,
+        rule: LINT_RULES.LEVEL_MISMATCH,
+        message: `expected proficiency drops to ${proficiency} at ${level}`
+      });
+    }
+    previous = proficiencies.indexOf(proficiency);
+  });
+
+  return issues;
+}
+
+/**
+ * Check prerequisite entries reference skills that exist in the track
+ */
+function lintPrerequisiteReferences(track, coreSkillNames, trackPrereqs) {
+  const issues = [];
+
+  Object.entries(trackPrereqs).forEach(([skill, prereqs]) => {
+    if (!coreSkillNames.has(skill)) {
+      issues.push({
+        track,
+        skill,
+        rule: LINT_RULES.ORPHAN_SKILL,
+        message: `has prerequisites but is not a core skill of ${track}`
+      });
+    }
+
+    prereqs.forEach(prereq => {
+      if (!coreSkillNames.has(prereq)) {
+        issues.push({
+          track,
+          skill,
+          rule: LINT_RULES.DANGLING_PREREQUISITE,
+          message: `prerequisite "${prereq}" is not a core skill of ${track}`
+        });
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Lint a single track
+ */
+export function lintTrack(track, roadmap, trackPrereqs = {}) {
+  const coreSkillNames = new Set(roadmap.coreSkills.map(s => s.name));
+
+  const cycleIssues = findPrerequisiteCycles(trackPrereqs).map(cycle => ({
+    track,
+    skill: cycle[0],
+    rule: LINT_RULES.PREREQUISITE_CYCLE,
+    message: `prerequisite cycle: ${cycle.join(' -> ')}`
+  }));
+
+  return [
+    ...lintCoreSkills(track, roadmap.coreSkills),
+    ...lintPrerequisiteReferences(track, coreSkillNames, trackPrereqs),
+    ...cycleIssues
+  ];
+}
+
+/**
+ * Check that every alias resolves to a single skill across all tracks
+ */
+export function lintAliases(roadmaps) {
+  const issues = [];
+  const owners = new Map(); // skill key -> canonical name
+
+  Object.values(roadmaps).forEach(roadmap => {
+    roadmap.coreSkills.forEach(skill => owners.set(toSkillKey(skill.name), skill.name));
+  });
+
+  Object.entries(roadmaps).forEach(([track, roadmap]) => {
+    roadmap.coreSkills.forEach(skill => {
+      (skill.aliases || []).forEach(alias => {
+        const key = toSkillKey(alias);
+        const owner = owners.get(key);
+
+        if (owner && owner !== skill.name) {
+          issues.push({
+            track,
+            skill: skill.name,
+            rule: LINT_RULES.ALIAS_CONFLICT,
+            message: `alias "${alias}" also matches "${owner}"`
+          });
+        } else {
+          owners.set(key, skill.name);
+        }
+      });
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Lint every track in the registry
+ */
+export function lintRoadmaps(roadmaps = ROADMAPS, prerequisites = PREREQUISITES) {
+  return [
+    ...Object.entries(roadmaps).flatMap(([track, roadmap]) =>
+      lintTrack(track, roadmap, prerequisites[track])
+    ),
+    ...lintAliases(roadmaps)
+  ];
+}
+
+export default lintRoadmaps;
@@ -0,0 +1,138 @@
+/**
+ * Roadmap loader
+ * Reads roadmap definitions (JSON or YAML) from a data directory,
+ * validates them and exposes them as a registry keyed by track id
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { validateRoadmapDefinition, RoadmapSchemaError } from './roadmapSchema.js';
+import { composeRoadmapDefinitions } from './roadmapComposer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_ROADMAPS_DIR = path.join(__dirname, '../../data/roadmaps');
+
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Shared registry, mutated in place on reload so imported references stay valid
+ */
+export const roadmapRegistry = {
+  roadmaps: {},
+  prerequisites: {},
+  directory: null,
+  loadedAt: null
+};
+
+/**
+ * Resolve the roadmaps directory (ROADMAPS_DIR overrides the bundled data)
+ */
+export function getRoadmapsDir() {
+  return process.env.ROADMAPS_DIR
+    ? path.resolve(process.env.ROADMAPS_DIR)
+    : DEFAULT_ROADMAPS_DIR;
+}
+
+/**
+ * Parse a single roadmap file
+ */
+export function parseRoadmapFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  try {
+    return extension === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new RoadmapSchemaError(path.basename(filePath), [`could not be parsed: ${error.message}`]);
+  }
+}
+
+/**
+ * Read and validate every roadmap definition in a directory
+ */
+export function loadRoadmapDefinitions(directory = getRoadmapsDir()) {
+  if (!fs.existsSync(directory)) {
+    throw new Error(`Roadmaps directory not found: ${directory}`);
+  }
+
+  const files = fs.readdirSync(directory)
+    .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  const definitions = [];
+  const sources = new Map();
+
+  for (const file of files) {
+    const definition = parseRoadmapFile(path.join(directory, file));
+    const errors = validateRoadmapDefinition(definition);
+
+    if (errors.length > 0) {
+      throw new RoadmapSchemaError(file, errors);
+    }
+
+    if (sources.has(definition.id)) {
+      throw new RoadmapSchemaError(file, [
+        `id "${definition.id}" is already defined in ${sources.get(definition.id)}`
+      ]);
+    }
+
+    sources.set(definition.id, file);
+    definitions.push(definition);
+  }
+
+  if (definitions.length === 0) {
+    throw new Error(`No roadmap definitions found in ${directory}`);
+  }
+
+  return definitions;
+}
+
+/**
+ * Build track-keyed roadmap and prerequisite maps from definitions
+ * Composed tracks are resolved against the tracks they extend first
+ */
+export function buildRegistry(definitions) {
+  const roadmaps = {};
+  const prerequisites = {};
+
+  composeRoadmapDefinitions(definitions).forEach(definition => {
+    roadmaps[definition.id] = {
+      name: definition.name,
+      label: definition.label || definition.name,
+      description: definition.description || '',
+      icon: definition.icon || '',
+      order: definition.order ?? null,
+      searchContext: definition.searchContext || [],
+      coreSkills: definition.coreSkills
+    };
+    prerequisites[definition.id] = definition.prerequisites || {};
+  });
+
+  return { roadmaps, prerequisites };
+}
+
+/**
+ * (Re)load roadmaps from disk into the shared registry
+ */
+export function reloadRoadmaps(directory = getRoadmapsDir()) {
+  const { roadmaps, prerequisites } = buildRegistry(loadRoadmapDefinitions(directory));
+
+  Object.keys(roadmapRegistry.roadmaps).forEach(key => delete roadmapRegistry.roadmaps[key]);
+  Object.keys(roadmapRegistry.prerequisites).forEach(key => delete roadmapRegistry.prerequisites[key]);
+  Object.assign(roadmapRegistry.roadmaps, roadmaps);
+  Object.assign(roadmapRegistry.prerequisites, prerequisites);
+
+  roadmapRegistry.directory = directory;
+  roadmapRegistry.loadedAt = new Date().toISOString();
+
+  return roadmapRegistry;
+}
+
+// Load once at startup
+reloadRoadmaps();
+
+export default roadmapRegistry;
@@ -0,0 +1,204 @@
+/**
+ * Roadmap definition schema
+ * Structural checks for roadmap data files read by the roadmap loader
+ */
+
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Fields of a single core skill entry
+ */
+export const SKILL_SCHEMA = {
+  name: { type: 'string', required: true },
+  weight: { type: 'number', required: true },
+  category: { type: 'string', required: true },
+  section: { type: 'string', required: false },
+  expectedProficiency: {
+    type: 'string',
+    required: false,
+    enum: Object.values(CONSTANTS.PROFICIENCY_LEVELS)
+  },
+  minLevel: {
+    type: 'string',
+    required: false,
+    enum: Object.values(CONSTANTS.SENIORITY_LEVELS)
+  },
+  proficiencyByLevel: {
+    type: 'object',
+    required: false,
+    keys: Object.values(CONSTANTS.SENIORITY_LEVELS),
+    values: Object.values(CONSTANTS.PROFICIENCY_LEVELS)
+  },
+  estimatedHours: { type: 'number', required: false },
+  npmPackages: { type: 'array', required: false, itemType: 'string' },
+  stackoverflowTags: { type: 'array', required: false, itemType: 'string' },
+  githubTopics: { type: 'array', required: false, itemType: 'string' },
+  aliases: { type: 'array', required: false, itemType: 'string' }
+};
+
+/**
+ * Fields of a skill override in a composed track (any skill field except name)
+ */
+export const SKILL_OVERRIDE_SCHEMA = Object.fromEntries(
+  Object.entries(SKILL_SCHEMA)
+    .filter(([field]) => field !== 'name')
+    .map(([field, rule]) => [field, { ...rule, required: false }])
+);
+
+/**
+ * Fields of an "extends" entry: the parent track, the section tag given to
+ * its skills and, optionally, the subset of skills to take
+ */
+export const EXTENDS_SCHEMA = {
+  track: { type: 'string', required: true, pattern: /^[a-z][a-z0-9-]*$/ },
+  section: { type: 'string', required: false },
+  include: { type: 'array', required: false, itemType: 'string' }
+};
+
+/**
+ * Fields of a roadmap definition file
+ */
+export const ROADMAP_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[a-z][a-z0-9-]*$/ },
+  name: { type: 'string', required: true },
+  label: { type: 'string', required: false },
+  description: { type: 'string', required: false },
+  icon: { type: 'string', required: false },
+  order: { type: 'number', required: false },
+  searchContext: { type: 'array', required: false, itemType: 'string' },
+  extends: { type: 'array', required: false, items: EXTENDS_SCHEMA },
+  overrides: { type: 'object', required: false, entries: SKILL_OVERRIDE_SCHEMA },
+  coreSkills: { type: 'array', required: false, items: SKILL_SCHEMA },
+  prerequisites: { type: 'prerequisiteMap', required: false }
+};
+
+/**
+ * Error thrown when a roadmap file does not match the schema
+ */
+export class RoadmapSchemaError extends Error {
+  constructor(source, details) {
+    super(`Invalid roadmap definition in ${source}: ${details[0]}`);
+    this.name = 'RoadmapSchemaError';
+    this.source = source;
+    this.details = details;
+  }
+}
+
+/**
+ * Describe the type of a value the way the schema names types
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Check a value against a prerequisite map (skill -> [skill names])
+ */
+function checkPrerequisiteMap(value, fieldPath, errors) {
+  if (typeOf(value) !== 'object') {
+    errors.push(`${fieldPath} must be an object, got ${typeOf(value)}`);
+    return;
+  }
+
+  Object.entries(value).forEach(([skill, prereqs]) => {
+    const isStringList = Array.isArray(prereqs) && prereqs.every(p => typeof p === 'string');
+    if (!isStringList) {
+      errors.push(`${fieldPath}.${skill} must be an array of skill names`);
+    }
+  });
+}
+
+/**
+ * Check an object against a field schema, collecting error messages
+ */
+function checkFields(value, schema, fieldPath, errors) {
+  if (typeOf(value) !== 'object') {
+    errors.push(`${fieldPath || 'definition'} must be an object, got ${typeOf(value)}`);
+    return;
+  }
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const current = value[field];
+    const currentPath = fieldPath ? `${fieldPath}.${field}` : field;
+
+    if (current === undefined) {
+      if (rule.required) {
+        errors.push(`${currentPath} is required`);
+      }
+      return;
+    }
+
+    if (rule.type === 'prerequisiteMap') {
+      checkPrerequisiteMap(current, currentPath, errors);
+      return;
+    }
+
+    if (typeOf(current) !== rule.type) {
+      errors.push(`${currentPath} must be ${rule.type}, got ${typeOf(current)}`);
+      return;
+    }
+
+    if (rule.pattern && !rule.pattern.test(current)) {
+      errors.push(`${currentPath} "${current}" does not match ${rule.pattern}`);
+    }
+
+    if (rule.enum && !rule.enum.includes(current)) {
+      errors.push(`${currentPath} "${current}" must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    if (rule.keys || rule.values) {
+      Object.entries(current).forEach(([key, item]) => {
+        if (rule.keys && !rule.keys.includes(key)) {
+          errors.push(`${currentPath}.${key} is not one of: ${rule.keys.join(', ')}`);
+        }
+        if (rule.values && !rule.values.includes(item)) {
+          errors.push(`${currentPath}.${key} "${item}" must be one of: ${rule.values.join(', ')}`);
+        }
+      });
+    }
+
+    if (rule.entries) {
+      Object.entries(current).forEach(([key, item]) => {
+        checkFields(item, rule.entries, `${currentPath}.${key}`, errors);
+      });
+    }
+
+    if (rule.itemType) {
+      current.forEach((item, index) => {
+        if (typeOf(item) !== rule.itemType) {
+          errors.push(`${currentPath}[${index}] must be ${rule.itemType}, got ${typeOf(item)}`);
+        }
+      });
+    }
+
+    if (rule.items) {
+      current.forEach((item, index) => {
+        checkFields(item, rule.items, `${currentPath}[${index}]`, errors);
+      });
+    }
+  });
+}
+
+/**
+ * Validate a parsed roadmap definition
+ * Returns a list of error messages (empty when valid)
+ */
+export function validateRoadmapDefinition(definition) {
+  const errors = [];
+  checkFields(definition, ROADMAP_SCHEMA, '', errors);
+
+  // Composed tracks get their skills from the tracks they extend
+  if (typeOf(definition) === 'object' && definition.extends === undefined) {
+    if (definition.coreSkills === undefined) {
+      errors.push('coreSkills is required');
+    } else if (Array.isArray(definition.coreSkills) && definition.coreSkills.length === 0) {
+      errors.push('coreSkills must contain at least one skill');
+    }
+  }
+
+  return errors;
+}
+
+export default ROADMAP_SCHEMA;
@@ -5,10 +5,16 @@
 
 import validationService from '../services/validationService.js';
 import pdfService from '../services/pdfService.js';
+import learningPlanService from '../services/learningPlanService.js';
+import calendarService from '../services/calendarService.js';
 import githubService from '../services/githubService.js';
 import stackoverflowService from '../services/stackoverflowService.js';
 import cacheService from '../services/cacheService.js';
-import { getAllSkills, getCoreSkills } from '../config/roadmaps.js';
+import cacheWarmup from '../services/cacheWarmup.js';
+import httpClients from '../services/httpClient.js';
+import tagReportService from '../services/tagReportService.js';
+import { validateWindow } from '../services/demandWindow.js';
+import { getAllSkills, getCoreSkillsForLevel, getTrackIds, isValidTrack } from '../config/roadmaps.js';
 import { CONSTANTS } from '../config/constants.js';
 
 class ApiController {
@@ -17,13 +23,13 @@ class ApiController {
    */
   async validateSkills(req, res) {
     try {
-      const { track, skills, githubToken, soKey, sortBy } = req.body;
+      const { track, skills, githubToken, soKey, sortBy, targetLevel, window, granularity } = req.body;
 
       // Validation
-      if (!track || !Object.values(CONSTANTS.TRACKS).includes(track)) {
+      if (!isValidTrack(track)) {
         return res.status(400).json({
           error: 'Invalid track',
-          message: 'Track must be one of: frontend, backend, fullstack'
+          message: `Track must be one of: ${getTrackIds().join(', ')}`
         });
       }
 
@@ -51,19 +57,38 @@ class ApiController {
         }
       }
 
+      if (targetLevel && !Object.values(CONSTANTS.SENIORITY_LEVELS).includes(targetLevel)) {
+        return res.status(400).json({
+          error: 'Invalid target level',
+          message: 'Target level must be: junior, mid, or senior'
+        });
+      }
+
+      const windowError = validateWindow({ months: window, granularity });
+      if (windowError) {
+        return res.status(400).json({
+          error: 'Invalid demand window',
+          message: windowError
+        });
+      }
+
       // Perform validation
       let results;
       if (track === CONSTANTS.TRACKS.FULLSTACK) {
         results = await validationService.validateFullstack(skills, {
           githubToken,
           soKey,
-          sortBy: sortBy || CONSTANTS.SORT_OPTIONS.IMPACT
+          sortBy: sortBy || CONSTANTS.SORT_OPTIONS.IMPACT,
+          targetLevel: targetLevel || null,
+          window: { months: window, granularity }
         });
       } else {
         results = await validationService.validateSkills(track, skills, {
           githubToken,
           soKey,
-          sortBy: sortBy || CONSTANTS.SORT_OPTIONS.IMPACT
+          sortBy: sortBy || CONSTANTS.SORT_OPTIONS.IMPACT,
+          targetLevel: targetLevel || null,
+          window: { months: window, granularity }
         });
       }
 
@@ -85,7 +110,7 @@ class ApiController {
    */
   async getSkillTrends(req, res) {
     try {
-      const { skill, track, githubToken, soKey } = req.query;
+      const { skill, track, githubToken, soKey, window, granularity } = req.query;
 
       if (!skill || !track) {
         return res.status(400).json({
@@ -94,18 +119,26 @@ class ApiController {
         });
       }
 
-      if (!Object.values(CONSTANTS.TRACKS).includes(track)) {
+      if (!isValidTrack(track)) {
         return res.status(400).json({
           error: 'Invalid track',
-          message: 'Track must be one of: frontend, backend, fullstack'
+          message: `Track must be one of: ${getTrackIds().join(', ')}`
+        });
+      }
+
+      const windowError = validateWindow({ months: window, granularity });
+      if (windowError) {
+        return res.status(400).json({
+          error: 'Invalid demand window',
+          message: windowError
         });
       }
 
       const trends = await validationService.getSkillTrends(
         skill,
         track,
-        githubToken,
-        soKey
+        { githubToken, soKey },
+        { months: window, granularity }
       );
 
       res.json({
@@ -121,12 +154,139 @@ class ApiController {
     }
   }
 
+  /**
+   * Generate a week-by-week learning plan from validation results
+   */
+  generateLearningPlan(req, res) {
+    try {
+      const { validationResults, hoursPerWeek, startDate } = req.body;
+      const { MIN_HOURS_PER_WEEK, MAX_HOURS_PER_WEEK, DEFAULT_HOURS_PER_WEEK } = CONSTANTS.LEARNING_PLAN;
+
+      if (!validationResults || !isValidTrack(validationResults.track)) {
+        return res.status(400).json({
+          error: 'Invalid validation results',
+          message: 'validationResults from /api/validate are required'
+        });
+      }
+
+      const hours = hoursPerWeek === undefined ? DEFAULT_HOURS_PER_WEEK : Number(hoursPerWeek);
+      if (!Number.isFinite(hours) || hours < MIN_HOURS_PER_WEEK || hours > MAX_HOURS_PER_WEEK) {
+        return res.status(400).json({
+          error: 'Invalid hours per week',
+          message: `hoursPerWeek must be between ${MIN_HOURS_PER_WEEK} and ${MAX_HOURS_PER_WEEK}`
+        });
+      }
+
+      if (startDate !== undefined && !learningPlanService.parseDate(startDate)) {
+        return res.status(400).json({
+          error: 'Invalid start date',
+          message: 'startDate must be a date in YYYY-MM-DD format'
+        });
+      }
+
+      const plan = learningPlanService.generatePlan(validationResults, {
+        hoursPerWeek: hours,
+        startDate
+      });
+
+      res.json({
+        success: true,
+        data: plan
+      });
+    } catch (error) {
+      console.error('[API] Learning plan error:', error);
+      res.status(500).json({
+        error: 'Failed to generate learning plan',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Export a learning plan as an iCalendar (.ics) file
+   */
+  exportCalendar(req, res) {
+    try {
+      const { validationResults, learningPlan, userSkills, hoursPerWeek, startDate, itemType } = req.body;
+      const { MIN_HOURS_PER_WEEK, MAX_HOURS_PER_WEEK } = CONSTANTS.LEARNING_PLAN;
+
+      if (!validationResults || !isValidTrack(validationResults.track)) {
+        return res.status(400).json({
+          error: 'Invalid validation results',
+          message: 'validationResults from /api/validate are required'
+        });
+      }
+
+      if (learningPlan && (!Array.isArray(learningPlan.skills) || !isValidTrack(learningPlan.track))) {
+        return res.status(400).json({
+          error: 'Invalid learning plan',
+          message: 'learningPlan must come from /api/learning-plan'
+        });
+      }
+
+      const invalidEntry = learningPlan?.skills.find(entry =>
+        typeof entry?.skill !== 'string' || !entry.skill ||
+        !learningPlanService.parseDate(entry.startDate) || !learningPlanService.parseDate(entry.endDate)
+      );
+      if (invalidEntry !== undefined) {
+        return res.status(400).json({
+          error: 'Invalid learning plan',
+          message: 'Each learningPlan skill needs a skill name, and startDate and endDate in YYYY-MM-DD format'
+        });
+      }
+
+      if (itemType && !Object.values(CONSTANTS.CALENDAR.ITEM_TYPES).includes(itemType)) {
+        return res.status(400).json({
+          error: 'Invalid item type',
+          message: 'itemType must be: event or task'
+        });
+      }
+
+      if (hoursPerWeek !== undefined) {
+        const hours = Number(hoursPerWeek);
+        if (!Number.isFinite(hours) || hours < MIN_HOURS_PER_WEEK || hours > MAX_HOURS_PER_WEEK) {
+          return res.status(400).json({
+            error: 'Invalid hours per week',
+            message: `hoursPerWeek must be between ${MIN_HOURS_PER_WEEK} and ${MAX_HOURS_PER_WEEK}`
+          });
+        }
+      }
+
+      if (startDate !== undefined && !learningPlanService.parseDate(startDate)) {
+        return res.status(400).json({
+          error: 'Invalid start date',
+          message: 'startDate must be a date in YYYY-MM-DD format'
+        });
+      }
+
+      const calendar = calendarService.generateCalendar(validationResults, {
+        learningPlan,
+        userSkills,
+        hoursPerWeek: hoursPerWeek === undefined ? undefined : Number(hoursPerWeek),
+        startDate,
+        itemType
+      });
+
+      const filename = `learning-plan-${validationResults.track}-${Date.now()}.ics`;
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(calendar);
+    } catch (error) {
+      console.error('[API] Calendar export error:', error);
+      res.status(500).json({
+        error: 'Calendar export failed',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Generate PDF report
    */
   async generatePDF(req, res) {
     try {
-      const { validationResults, userSkills, track } = req.body;
+      const { validationResults, userSkills, track, learningPlan } = req.body;
 
       if (!validationResults || !track) {
         return res.status(400).json({
@@ -137,7 +297,8 @@ class ApiController {
 
       const pdfBuffer = await pdfService.generateValidationReport(validationResults, {
         userSkills,
-        track
+        track,
+        learningPlan
       });
 
       const filename = `roadmap-validation-${track}-${Date.now()}.pdf`;
@@ -176,20 +337,28 @@ class ApiController {
   }
 
   /**
-   * Get core skills for a track
+   * Get core skills for a track (optionally for a seniority level)
    */
   getCoreSkills(req, res) {
     try {
       const { track } = req.params;
+      const { level } = req.query;
 
-      if (!Object.values(CONSTANTS.TRACKS).includes(track)) {
+      if (!isValidTrack(track)) {
         return res.status(400).json({
           error: 'Invalid track',
-          message: 'Track must be one of: frontend, backend, fullstack'
+          message: `Track must be one of: ${getTrackIds().join(', ')}`
         });
       }
 
-      const coreSkills = getCoreSkills(track);
+      if (level && !Object.values(CONSTANTS.SENIORITY_LEVELS).includes(level)) {
+        return res.status(400).json({
+          error: 'Invalid level',
+          message: 'Level must be: junior, mid, or senior'
+        });
+      }
+
+      const coreSkills = getCoreSkillsForLevel(track, level || null);
       res.json({
         success: true,
         data: coreSkills
@@ -219,7 +388,8 @@ class ApiController {
         success: true,
         data: {
           github: githubStatus,
-          stackoverflow: soStatus
+          stackoverflow: soStatus,
+          circuits: httpClients.getStatus()
         }
       });
     } catch (error) {
@@ -231,6 +401,36 @@ class ApiController {
     }
   }
 
+  /**
+   * Report Stack Overflow tags and GitHub topics that find no demand data
+   * (admin endpoint - should be protected in production)
+   */
+  async getTagReport(req, res) {
+    try {
+      const { track, githubToken, soKey } = req.query;
+
+      if (!isValidTrack(track)) {
+        return res.status(400).json({
+          error: 'Invalid track',
+          message: `Track must be one of: ${getTrackIds().join(', ')}`
+        });
+      }
+
+      const report = await tagReportService.getReport(track, { githubToken, soKey });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('[API] Tag report error:', error);
+      res.status(500).json({
+        error: 'Failed to build tag report',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get cache stats
    */
@@ -250,15 +450,76 @@ class ApiController {
     }
   }
 
+  /**
+   * Get the cache warm-up schedule, progress and last run
+   */
+  getCacheWarmupStatus(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: cacheWarmup.getStatus()
+      });
+    } catch (error) {
+      console.error('[API] Cache warm-up status error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch cache warm-up status',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List cache keys with their age and expiry (admin endpoint)
+   * Query: namespace (e.g. github:search or github), skill
+   */
+  getCacheKeys(req, res) {
+    try {
+      const filter = this.getCacheFilter(req.query);
+      if (filter.error) {
+        return res.status(400).json(filter.error);
+      }
+
+      const keys = cacheService.listKeys(filter);
+      res.json({
+        success: true,
+        data: {
+          count: keys.length,
+          keys
+        }
+      });
+    } catch (error) {
+      console.error('[API] Cache keys error:', error);
+      res.status(500).json({
+        error: 'Failed to list cache keys',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Clear cache (admin endpoint - should be protected in production)
+   * Body: { namespace?, skill? } to clear only the matching entries
    */
   clearCache(req, res) {
     try {
-      cacheService.clear();
+      const filter = this.getCacheFilter(req.body || {});
+      if (filter.error) {
+        return res.status(400).json(filter.error);
+      }
+
+      if (!filter.namespace && !filter.skill) {
+        cacheService.clear();
+        return res.json({
+          success: true,
+          message: 'Cache cleared successfully'
+        });
+      }
+
+      const removed = cacheService.invalidate(filter);
       res.json({
         success: true,
-        message: 'Cache cleared successfully'
+        message: `Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'}`,
+        data: { removed, ...filter }
       });
     } catch (error) {
       console.error('[API] Clear cache error:', error);
@@ -269,6 +530,30 @@ class ApiController {
     }
   }
 
+  /**
+   * Helper: Read a cache filter ({ namespace, skill }) from a query or body
+   */
+  getCacheFilter({ namespace = null, skill = null }) {
+    if (namespace !== null && (typeof namespace !== 'string' || !/^[a-z-]+(:[a-z-]+)?$/.test(namespace))) {
+      return {
+        error: {
+          error: 'Invalid namespace',
+          message: 'Namespace must be a service (e.g. github) or a key prefix (e.g. github:demand-trend)'
+        }
+      };
+    }
+    if (skill !== null && (typeof skill !== 'string' || !skill.trim())) {
+      return {
+        error: {
+          error: 'Invalid skill',
+          message: 'Skill must be a non-empty string'
+        }
+      };
+    }
+
+    return { namespace, skill: skill ? skill.trim() : null };
+  }
+
   /**
    * Health check
    */
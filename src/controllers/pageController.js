@@ -3,7 +3,7 @@
  * Handles rendering of EJS pages
  */
 
-import { getAllSkills, getCoreSkills } from '../config/roadmaps.js';
+import { getAllSkills, getCoreSkills, getSkillAliases, getTracks } from '../config/roadmaps.js';
 import { CONSTANTS } from '../config/constants.js';
 
 class PageController {
@@ -16,7 +16,8 @@ class PageController {
     res.render('index', {
       title: 'Developer Roadmap Validator',
       allSkills: allSkills,
-      tracks: Object.values(CONSTANTS.TRACKS),
+      skillAliases: getSkillAliases(),
+      tracks: getTracks(),
       proficiencyLevels: Object.values(CONSTANTS.PROFICIENCY_LEVELS),
       sortOptions: CONSTANTS.SORT_OPTIONS
     });
@@ -28,7 +29,7 @@ class PageController {
   renderResults(req, res) {
     res.render('results', {
       title: 'Validation Results - Developer Roadmap Validator',
-      tracks: Object.values(CONSTANTS.TRACKS)
+      tracks: getTracks()
     });
   }
 
@@ -26,14 +26,23 @@ router.get('/skills/core/:track', apiController.getCoreSkills.bind(apiController
 // Trends endpoint
 router.get('/trends', asyncHandler(apiController.getSkillTrends.bind(apiController)));
 
+// Learning plan
+router.post('/learning-plan', apiController.generateLearningPlan.bind(apiController));
+router.post('/export-ics', apiController.exportCalendar.bind(apiController));
+
 // PDF generation
 router.post('/generate-pdf', asyncHandler(apiController.generatePDF.bind(apiController)));
 
 // Rate limit status
 router.get('/rate-limit-status', asyncHandler(apiController.getRateLimitStatus.bind(apiController)));
 
+// Search term report (admin)
+router.get('/admin/tag-report', asyncHandler(apiController.getTagReport.bind(apiController)));
+
 // Cache management
 router.get('/cache/stats', apiController.getCacheStats.bind(apiController));
+router.get('/cache/keys', apiController.getCacheKeys.bind(apiController));
+router.get('/cache/warmup', apiController.getCacheWarmupStatus.bind(apiController));
 router.post('/cache/clear', apiController.clearCache.bind(apiController));
 
 export default router;
@@ -1,19 +1,44 @@
 /**
- * In-memory cache service with TTL support
+ * Cache service with TTL support
  * LRU eviction when max size is reached
+ * Entries live in the store selected by CACHE_STORE (see cacheStores.js)
+ * getOrSet coalesces concurrent fetches of a key, serves expired values for
+ * a while longer (stale) while refreshing them in the background, and
+ * remembers failures for a short time (negative caching)
+ * Keys are "<service>:<kind>:<params>"; "<service>:<kind>" is the key's
+ * namespace (e.g. github:demand-trend), which can have its own TTL. Entries
+ * are tagged with a skill (the key's skill param, or the skill whose fetch
+ * created them, e.g. the searches behind a demand count) so a namespace or a
+ * skill can be listed and invalidated on its own.
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
 import { CONSTANTS } from '../config/constants.js';
+import { createCacheStore } from './cacheStores.js';
+
+// Failures that depend on the caller's credentials or quota are not cached
+const UNCACHEABLE_STATUSES = [401, 403, 429];
+
+// Skill of the fetch in progress, inherited by the entries it caches
+const fetchContext = new AsyncLocalStorage();
 
 class CacheService {
-  constructor() {
-    this.cache = new Map();
+  constructor(store = createCacheStore(process.env.CACHE_STORE, { file: process.env.CACHE_FILE })) {
+    this.store = store;
     this.maxSize = process.env.CACHE_MAX_SIZE 
       ? parseInt(process.env.CACHE_MAX_SIZE) 
       : CONSTANTS.CACHE.MAX_SIZE;
-    this.defaultTTL = process.env.CACHE_TTL_HOURS 
-      ? parseInt(process.env.CACHE_TTL_HOURS) * 3600000 
-      : CONSTANTS.CACHE.DEFAULT_TTL_HOURS * 3600000;
+    this.defaultTTL = this.parseDefaultTTL(process.env.CACHE_TTL_HOURS);
+    this.staleTTL = process.env.CACHE_STALE_HOURS
+      ? parseInt(process.env.CACHE_STALE_HOURS) * 3600000
+      : CONSTANTS.CACHE.STALE_TTL_HOURS * 3600000;
+    this.errorTTL = process.env.CACHE_ERROR_TTL_SECONDS
+      ? parseInt(process.env.CACHE_ERROR_TTL_SECONDS) * 1000
+      : CONSTANTS.CACHE.ERROR_TTL_SECONDS * 1000;
+    this.namespaceTTLs = this.parseNamespaceTTLs(process.env.CACHE_NAMESPACE_TTLS);
+
+    // Pending fetches by key, shared by concurrent getOrSet calls
+    this.inFlight = new Map();
   }
 
   /**
@@ -28,46 +53,157 @@ class CacheService {
   }
 
   /**
-   * Set cache entry with TTL
+   * Parse CACHE_TTL_HOURS, in the same range as namespace TTLs
    */
-  set(key, value, ttlMs = null) {
-    const expiry = Date.now() + (ttlMs || this.defaultTTL);
-    
-    // LRU eviction if at max size
-    if (this.cache.size >= this.maxSize && !this.cache.has(key)) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+  parseDefaultTTL(rawHours) {
+    const { DEFAULT_TTL_HOURS, MIN_TTL_HOURS, MAX_TTL_HOURS } = CONSTANTS.CACHE;
+    if (!rawHours) {
+      return DEFAULT_TTL_HOURS * 3600000;
     }
 
-    this.cache.set(key, {
+    const hours = Number(rawHours);
+    if (!this.isValidTTL(hours)) {
+      console.error(`[Cache] CACHE_TTL_HOURS must be ${MIN_TTL_HOURS}-${MAX_TTL_HOURS} hours, using ${DEFAULT_TTL_HOURS} instead of ${rawHours}`);
+      return DEFAULT_TTL_HOURS * 3600000;
+    }
+    return hours * 3600000;
+  }
+
+  /**
+   * Whether a TTL in hours is within MIN_TTL_HOURS-MAX_TTL_HOURS
+   */
+  isValidTTL(hours) {
+    const { MIN_TTL_HOURS, MAX_TTL_HOURS } = CONSTANTS.CACHE;
+    return Number.isFinite(hours) && hours >= MIN_TTL_HOURS && hours <= MAX_TTL_HOURS;
+  }
+
+  /**
+   * Parse a CACHE_NAMESPACE_TTLS spec ("namespace=hours,...") over the defaults
+   * A namespace can be a whole service (e.g. "npm=6")
+   */
+  parseNamespaceTTLs(spec = '') {
+    const { MIN_TTL_HOURS, MAX_TTL_HOURS } = CONSTANTS.CACHE;
+    const ttls = new Map(Object.entries(CONSTANTS.CACHE.NAMESPACE_TTL_HOURS));
+
+    String(spec || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .forEach(entry => {
+        const [namespace, rawHours] = entry.split('=').map(part => part.trim());
+        const hours = Number(rawHours);
+
+        if (!namespace || rawHours === undefined || !Number.isFinite(hours)) {
+          console.error(`[Cache] Ignoring invalid entry "${entry}" in CACHE_NAMESPACE_TTLS`);
+          return;
+        }
+        if (!this.isValidTTL(hours)) {
+          console.error(`[Cache] TTL for "${namespace}" must be ${MIN_TTL_HOURS}-${MAX_TTL_HOURS} hours, ignoring ${hours}`);
+          return;
+        }
+
+        ttls.set(namespace, hours);
+      });
+
+    return new Map(Array.from(ttls, ([namespace, hours]) => [namespace, hours * 3600000]));
+  }
+
+  /**
+   * TTL for a key: its namespace's (most specific match first) or the default
+   */
+  getTTL(key) {
+    const namespace = this.getNamespace(key);
+    const [service] = namespace.split(':');
+    return this.namespaceTTLs.get(namespace) ?? this.namespaceTTLs.get(service) ?? this.defaultTTL;
+  }
+
+  /**
+   * Namespace of a key ("<service>:<kind>")
+   */
+  getNamespace(key) {
+    return key.split(':').slice(0, 2).join(':');
+  }
+
+  /**
+   * Skill an entry belongs to: the key's skill param, otherwise the skill of
+   * the fetch it is cached by (null outside any skill's fetch)
+   */
+  getSkill(key) {
+    const param = key
+      .slice(this.getNamespace(key).length + 1)
+      .split('|')
+      .find(part => part.startsWith('skill:'));
+
+    return param ? param.slice('skill:'.length) : fetchContext.getStore()?.skill ?? null;
+  }
+
+  /**
+   * Set cache entry with TTL (default: the key's namespace TTL)
+   * The value can still be served stale for staleTTL after it expires
+   */
+  set(key, value, ttlMs = null) {
+    const expiry = Date.now() + (ttlMs || this.getTTL(key));
+
+    this.putEntry(key, {
       value,
       expiry,
-      createdAt: Date.now()
+      staleUntil: expiry + this.staleTTL,
+      createdAt: Date.now(),
+      skill: this.getSkill(key)
     });
 
     return value;
   }
 
+  /**
+   * Remember a failed fetch for errorTTL
+   */
+  setError(key, error) {
+    this.putEntry(key, {
+      error: {
+        message: error.message,
+        code: error.code || null,
+        status: error.response?.status || null
+      },
+      expiry: Date.now() + this.errorTTL,
+      createdAt: Date.now(),
+      skill: this.getSkill(key)
+    });
+  }
+
   /**
    * Get cache entry if not expired
    */
   get(key) {
-    const entry = this.cache.get(key);
-    
+    const entry = this.getEntry(key);
+
+    if (!entry || entry.error || Date.now() > entry.expiry) {
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Get the raw entry, expired or not, until it can no longer be served
+   * (past its stale window); moves it to the end (LRU)
+   */
+  getEntry(key) {
+    const entry = this.store.get(key);
+
     if (!entry) {
       return null;
     }
 
-    if (Date.now() > entry.expiry) {
-      this.cache.delete(key);
+    if (Date.now() > this.servableUntil(entry)) {
+      this.store.delete(key);
       return null;
     }
 
     // Move to end (LRU)
-    this.cache.delete(key);
-    this.cache.set(key, entry);
+    this.store.touch(key);
 
-    return entry.value;
+    return entry;
   }
 
   /**
@@ -81,14 +217,74 @@ class CacheService {
    * Delete cache entry
    */
   delete(key) {
-    return this.cache.delete(key);
+    return this.store.delete(key);
   }
 
   /**
    * Clear all cache
    */
   clear() {
-    this.cache.clear();
+    this.store.clear();
+  }
+
+  /**
+   * Delete the entries matching a filter and return how many were removed
+   * Filter: { namespace, skill } (see matches); an empty filter clears all
+   */
+  invalidate(filter = {}) {
+    let removed = 0;
+
+    for (const [key, entry] of Array.from(this.store.entries())) {
+      if (this.matches(key, entry, filter)) {
+        this.store.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Describe the entries matching a filter, newest first
+   */
+  listKeys(filter = {}) {
+    const { FRESH, STALE } = CONSTANTS.CACHE.STATUS;
+    const now = Date.now();
+
+    return Array.from(this.store.entries())
+      .filter(([key, entry]) => now <= this.servableUntil(entry) && this.matches(key, entry, filter))
+      .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+      .map(([key, entry]) => ({
+        key,
+        namespace: this.getNamespace(key),
+        skill: entry.skill || null,
+        status: entry.error ? 'error' : now > entry.expiry ? STALE : FRESH,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        expiresAt: new Date(entry.expiry).toISOString(),
+        staleUntil: entry.staleUntil ? new Date(entry.staleUntil).toISOString() : null,
+        ageSeconds: Math.round((now - entry.createdAt) / 1000),
+        expiresInSeconds: Math.round((entry.expiry - now) / 1000)
+      }));
+  }
+
+  /**
+   * Whether an entry matches a filter
+   * namespace: a key namespace (github:search) or a whole service (github)
+   * skill: the skill the entry belongs to (case-insensitive)
+   */
+  matches(key, entry, { namespace = null, skill = null } = {}) {
+    if (namespace) {
+      const keyNamespace = this.getNamespace(key);
+      if (keyNamespace !== namespace && !keyNamespace.startsWith(`${namespace}:`)) {
+        return false;
+      }
+    }
+
+    if (skill && entry.skill?.toLowerCase() !== skill.toLowerCase()) {
+      return false;
+    }
+
+    return true;
   }
 
   /**
@@ -96,36 +292,64 @@ class CacheService {
    */
   getStats() {
     let validEntries = 0;
+    let staleEntries = 0;
+    let errorEntries = 0;
     let expiredEntries = 0;
     const now = Date.now();
 
-    for (const [key, entry] of this.cache.entries()) {
-      if (now > entry.expiry) {
+    for (const [key, entry] of this.store.entries()) {
+      if (now > this.servableUntil(entry)) {
         expiredEntries++;
+      } else if (entry.error) {
+        errorEntries++;
+      } else if (now > entry.expiry) {
+        staleEntries++;
       } else {
         validEntries++;
       }
     }
 
     return {
-      totalEntries: this.cache.size,
+      store: this.store.type,
+      totalEntries: this.store.size,
       validEntries,
+      staleEntries,
+      errorEntries,
       expiredEntries,
+      inFlight: this.inFlight.size,
+      namespaces: this.getNamespaceStats(),
+      staleTTLHours: this.staleTTL / 3600000,
+      errorTTLSeconds: this.errorTTL / 1000,
       maxSize: this.maxSize,
-      utilizationPercent: ((this.cache.size / this.maxSize) * 100).toFixed(1)
+      utilizationPercent: ((this.store.size / this.maxSize) * 100).toFixed(1)
     };
   }
 
   /**
-   * Clean expired entries
+   * Entries and TTL per namespace
+   */
+  getNamespaceStats() {
+    const namespaces = {};
+
+    for (const key of this.store.keys()) {
+      const namespace = this.getNamespace(key);
+      namespaces[namespace] ||= { entries: 0, ttlHours: this.getTTL(key) / 3600000 };
+      namespaces[namespace].entries++;
+    }
+
+    return namespaces;
+  }
+
+  /**
+   * Clean expired entries (past their stale window)
    */
   cleanExpired() {
     const now = Date.now();
     let removed = 0;
 
-    for (const [key, entry] of this.cache.entries()) {
-      if (now > entry.expiry) {
-        this.cache.delete(key);
+    for (const [key, entry] of this.store.entries()) {
+      if (now > this.servableUntil(entry)) {
+        this.store.delete(key);
         removed++;
       }
     }
@@ -135,19 +359,143 @@ class CacheService {
 
   /**
    * Get or set pattern (common pattern)
+   * Returns { data, fromCache, cacheStatus }, where cacheStatus is
+   *   fresh      cached and within its TTL
+   *   stale      expired but within the stale window; refreshed in the background
+   *   refreshed  fetched now (concurrent calls for the key share one fetch)
+   * Failures that do not depend on credentials are cached for errorTTL and
+   * rethrown meanwhile. allowStale: false waits for a refresh instead.
+   */
+  async getOrSet(key, fetchFunction, ttlMs = null, { allowStale = true } = {}) {
+    const { FRESH, STALE, REFRESHED } = CONSTANTS.CACHE.STATUS;
+    const entry = this.getEntry(key);
+    const now = Date.now();
+
+    if (entry && now <= entry.expiry) {
+      if (entry.error) {
+        throw this.toError(entry.error);
+      }
+      return { data: entry.value, fromCache: true, cacheStatus: FRESH };
+    }
+
+    if (entry && !entry.error && allowStale) {
+      // After a failed refresh, wait errorTTL before trying again
+      if (!(entry.retryAt > now)) {
+        this.revalidate(key, fetchFunction, ttlMs);
+      }
+      return { data: entry.value, fromCache: true, cacheStatus: STALE };
+    }
+
+    const data = await this.fetch(key, fetchFunction, ttlMs);
+    return { data, fromCache: false, cacheStatus: REFRESHED };
+  }
+
+  /**
+   * Fetch and cache a value, joining the pending fetch for the key if any
+   */
+  fetch(key, fetchFunction, ttlMs = null, { background = false } = {}) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    // Entries cached while fetching (e.g. nested searches) belong to this key's skill
+    const pending = fetchContext.run({ skill: this.getSkill(key) }, async () => {
+      try {
+        const value = await fetchFunction();
+        this.set(key, value, ttlMs);
+        return value;
+      } catch (error) {
+        if (background) {
+          // Keep serving the stale value
+          this.deferRefresh(key);
+        } else if (this.isCacheableError(error)) {
+          this.setError(key, error);
+        }
+        throw error;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    });
+
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Refresh a stale entry without waiting for it
+   */
+  revalidate(key, fetchFunction, ttlMs = null) {
+    if (this.inFlight.has(key)) {
+      return;
+    }
+
+    this.fetch(key, fetchFunction, ttlMs, { background: true }).catch(error => {
+      console.error(`[Cache] Background refresh failed for ${key}:`, error.message);
+    });
+  }
+
+  /**
+   * Helper: Hold off refreshing a stale entry for errorTTL
+   */
+  deferRefresh(key) {
+    const entry = this.store.get(key);
+    if (entry) {
+      this.store.set(key, { ...entry, retryAt: Date.now() + this.errorTTL });
+    }
+  }
+
+  /**
+   * Whether a failure can be cached: upstream responses other than auth and
+   * rate-limit errors, and network errors (or as the error says, cacheable)
+   */
+  isCacheableError(error) {
+    if (typeof error.cacheable === 'boolean') {
+      return error.cacheable;
+    }
+
+    const status = error.response?.status;
+    if (status) {
+      return !UNCACHEABLE_STATUSES.includes(status);
+    }
+    return error.isAxiosError === true;
+  }
+
+  /**
+   * Helper: Rebuild a cached failure (with code and response.status, as the
+   * services map upstream errors by them)
    */
-  async getOrSet(key, fetchFunction, ttlMs = null) {
-    const cached = this.get(key);
-    if (cached !== null) {
-      return { data: cached, fromCache: true };
+  toError({ message, code, status }) {
+    const error = new Error(message);
+    error.code = code;
+    error.fromCache = true;
+    if (status) {
+      error.response = { status };
     }
+    return error;
+  }
 
-    const freshData = await fetchFunction();
-    this.set(key, freshData, ttlMs);
-    return { data: freshData, fromCache: false };
+  /**
+   * Helper: Store an entry, evicting the least recently used one at max size
+   */
+  putEntry(key, entry) {
+    if (this.store.size >= this.maxSize && !this.store.has(key)) {
+      const firstKey = this.store.keys().next().value;
+      this.store.delete(firstKey);
+    }
+
+    this.store.set(key, entry);
+  }
+
+  /**
+   * Helper: Time until which an entry can be served (stale values included)
+   */
+  servableUntil(entry) {
+    return entry.staleUntil ?? entry.expiry;
   }
 }
 
+export { CacheService };
+
 // Singleton instance
 const cacheService = new CacheService();
 
@@ -159,4 +507,13 @@ setInterval(() => {
   }
 }, 3600000);
 
+// Warm the cache for every roadmap skill when CACHE_WARMUP_INTERVAL_HOURS is set
+// (see cacheWarmup.js); loaded lazily, as the warm-up goes through the services
+// that use this cache
+if (process.env.CACHE_WARMUP_INTERVAL_HOURS) {
+  import('./cacheWarmup.js')
+    .then(({ default: cacheWarmup }) => cacheWarmup.start())
+    .catch(error => console.error('[Cache] Warm-up could not start:', error.message));
+}
+
 export default cacheService;
@@ -0,0 +1,243 @@
+/**
+ * Cache storage adapters
+ * CacheService keeps its entries ({ value, expiry, staleUntil, createdAt },
+ * or { error, expiry, createdAt } for cached failures) in a store
+ * with a Map-like interface, in insertion (LRU) order:
+ *   get(key), has(key), set(key, entry), delete(key), touch(key), clear(),
+ *   entries(), keys(), size
+ * CACHE_STORE selects the store: memory (default) or file, which persists
+ * entries to CACHE_FILE so they survive restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONSTANTS } from '../config/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CACHE_FILE = path.join(__dirname, '../../data/cache/cache.json');
+
+const CACHE_FILE_VERSION = 1;
+
+/**
+ * In-process store (lost on restart)
+ */
+export class MemoryCacheStore {
+  constructor() {
+    this.type = CONSTANTS.CACHE.STORES.MEMORY;
+    this.map = new Map();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  get(key) {
+    return this.map.get(key);
+  }
+
+  has(key) {
+    return this.map.has(key);
+  }
+
+  set(key, entry) {
+    this.map.set(key, entry);
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  /**
+   * Move an entry to the end (most recently used) without changing it
+   */
+  touch(key) {
+    const entry = this.map.get(key);
+    if (this.map.delete(key)) {
+      this.map.set(key, entry);
+    }
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  entries() {
+    return this.map.entries();
+  }
+
+  keys() {
+    return this.map.keys();
+  }
+}
+
+/**
+ * JSON file store
+ * The file is read on first use, not at startup, and entries that can no
+ * longer be served (past their stale window) are dropped while loading.
+ * Changes are written shortly after they happen (batched) and on exit;
+ * reads only reorder entries in memory (touch), so they write nothing.
+ */
+export class FileCacheStore extends MemoryCacheStore {
+  constructor(file = DEFAULT_CACHE_FILE, { flushDelayMs = CONSTANTS.CACHE.FLUSH_DELAY_MS } = {}) {
+    super();
+    this.type = CONSTANTS.CACHE.STORES.FILE;
+    this.file = path.resolve(file);
+    this.flushDelayMs = flushDelayMs;
+    this.loaded = false;
+    this.dirty = false;
+    this.flushTimer = null;
+
+    this.onExit = () => this.flush();
+    process.on('exit', this.onExit);
+  }
+
+  /**
+   * Read the file once (an unreadable file starts an empty cache)
+   */
+  load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (data.version !== CACHE_FILE_VERSION || !Array.isArray(data.entries)) {
+        throw new Error(`unsupported cache file version ${data.version}`);
+      }
+
+      const now = Date.now();
+      data.entries
+        .filter(([, entry]) => (entry.staleUntil ?? entry.expiry) > now)
+        .forEach(([key, entry]) => this.map.set(key, entry));
+    } catch (error) {
+      console.error(`[Cache] Cannot load ${this.file}:`, error.message);
+    }
+  }
+
+  get size() {
+    this.load();
+    return this.map.size;
+  }
+
+  get(key) {
+    this.load();
+    return super.get(key);
+  }
+
+  has(key) {
+    this.load();
+    return super.has(key);
+  }
+
+  set(key, entry) {
+    this.load();
+    super.set(key, entry);
+    this.scheduleFlush();
+  }
+
+  delete(key) {
+    this.load();
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.scheduleFlush();
+    }
+    return deleted;
+  }
+
+  touch(key) {
+    this.load();
+    super.touch(key);
+  }
+
+  clear() {
+    this.loaded = true;
+    super.clear();
+    this.scheduleFlush();
+  }
+
+  entries() {
+    this.load();
+    return super.entries();
+  }
+
+  keys() {
+    this.load();
+    return super.keys();
+  }
+
+  /**
+   * Write the pending changes after a short delay, batching bursts of sets
+   */
+  scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    // Do not keep the process alive just to write the cache
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write every entry to the file now, if anything changed
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.dirty) {
+      return;
+    }
+    this.dirty = false;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+      // Write to a temporary file first so a crash cannot leave half a cache
+      const temporary = `${this.file}.tmp`;
+      fs.writeFileSync(temporary, JSON.stringify({
+        version: CACHE_FILE_VERSION,
+        savedAt: new Date().toISOString(),
+        entries: Array.from(this.map.entries())
+      }));
+      fs.renameSync(temporary, this.file);
+    } catch (error) {
+      console.error(`[Cache] Cannot write ${this.file}:`, error.message);
+    }
+  }
+
+  /**
+   * Write pending changes and stop writing on exit
+   */
+  close() {
+    this.flush();
+    process.off('exit', this.onExit);
+  }
+}
+
+/**
+ * Create the store named by CACHE_STORE (unknown names fall back to memory)
+ */
+export function createCacheStore(type = CONSTANTS.CACHE.STORES.MEMORY, options = {}) {
+  switch (type || CONSTANTS.CACHE.STORES.MEMORY) {
+    case CONSTANTS.CACHE.STORES.MEMORY:
+      return new MemoryCacheStore();
+
+    case CONSTANTS.CACHE.STORES.FILE:
+      return new FileCacheStore(options.file || DEFAULT_CACHE_FILE, options);
+
+    default:
+      console.error(`[Cache] Unknown CACHE_STORE "${type}", using memory`);
+      return new MemoryCacheStore();
+  }
+}
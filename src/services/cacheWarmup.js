@@ -0,0 +1,243 @@
+/**
+ * Scheduled cache warm-up
+ * Pre-fetches current demand and the demand trend (default window) of every
+ * skill in every roadmap track, so the first users after a restart are
+ * served from the cache. Requests are spread out (one skill at a time, with
+ * a pause between skills that went upstream) and checked against the
+ * remaining quota of each provider first: a provider that would dip into the
+ * reserve left for users is skipped for that skill, after waiting for its
+ * quota to reset when that is soon. Skills already cached cost nothing.
+ * CACHE_WARMUP_INTERVAL_HOURS enables it (see cacheService.js).
+ */
+
+import demandProviders from './demandProviders.js';
+import requestBudget from './requestBudget.js';
+import snapshotService from './snapshotService.js';
+import { resolveWindow } from './demandWindow.js';
+import { ROADMAPS, getCoreSkills } from '../config/roadmaps.js';
+import { CONSTANTS } from '../config/constants.js';
+
+class CacheWarmupScheduler {
+  constructor(providers = demandProviders, planner = requestBudget) {
+    const { WARMUP } = CONSTANTS.CACHE;
+
+    this.providers = providers;
+    this.planner = planner;
+    this.intervalMs = (process.env.CACHE_WARMUP_INTERVAL_HOURS
+      ? Number(process.env.CACHE_WARMUP_INTERVAL_HOURS)
+      : WARMUP.INTERVAL_HOURS) * 3600000;
+    this.spacingMs = process.env.CACHE_WARMUP_SPACING_MS
+      ? parseInt(process.env.CACHE_WARMUP_SPACING_MS)
+      : WARMUP.SPACING_MS;
+
+    this.timer = null;
+    this.nextRunAt = null;
+    this.progress = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Whether runs are scheduled (CACHE_WARMUP_INTERVAL_HOURS > 0)
+   */
+  isEnabled() {
+    return this.intervalMs > 0;
+  }
+
+  /**
+   * Schedule the first run shortly after startup, then one per interval
+   */
+  start(delayMs = CONSTANTS.CACHE.WARMUP.START_DELAY_MS) {
+    if (!this.isEnabled() || this.timer) {
+      return;
+    }
+
+    const schedule = (ms) => {
+      this.nextRunAt = new Date(Date.now() + ms).toISOString();
+      this.timer = setTimeout(async () => {
+        await this.run();
+        schedule(this.intervalMs);
+      }, ms);
+      // Do not keep the process alive for a warm-up
+      this.timer.unref();
+    };
+
+    schedule(delayMs);
+    console.log(`[Warmup] Cache warm-up every ${this.intervalMs / 3600000} hour(s), first run in ${Math.round(delayMs / 1000)}s`);
+  }
+
+  /**
+   * Cancel the scheduled runs
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Warm every skill of every track once
+   * Returns the run summary, or null when a run is already in progress
+   */
+  async run() {
+    if (this.progress) {
+      return null;
+    }
+
+    const window = resolveWindow();
+    const items = Object.keys(ROADMAPS).flatMap(track =>
+      getCoreSkills(track).map(skill => ({ track, skill: skill.name }))
+    );
+
+    const summary = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      window,
+      total: items.length,
+      warmed: 0,
+      cached: 0,
+      deferred: 0,
+      failed: 0,
+      errors: []
+    };
+    this.progress = { done: 0, total: items.length, track: null, skill: null };
+
+    try {
+      if (snapshotService.isOffline()) {
+        summary.skippedReason = 'Offline mode: demand comes from the snapshot';
+        return summary;
+      }
+
+      for (const [index, item] of items.entries()) {
+        this.progress = { done: index, total: items.length, ...item };
+
+        const outcome = await this.warmSkill(item.skill, item.track, window);
+        summary[outcome.status]++;
+        if (outcome.errors.length > 0) {
+          summary.errors.push(...outcome.errors.map(error => `${item.track}/${item.skill}: ${error}`));
+        }
+
+        // Spread upstream requests out
+        if (outcome.status !== 'cached' && index < items.length - 1) {
+          await this.sleep(this.spacingMs);
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('[Warmup] Run error:', error.message);
+      summary.errors.push(error.message);
+      return summary;
+    } finally {
+      summary.finishedAt = new Date().toISOString();
+      summary.errors = summary.errors.slice(0, CONSTANTS.CACHE.WARMUP.MAX_ERRORS);
+      this.lastRun = summary;
+      this.progress = null;
+
+      console.log(
+        `[Warmup] ${summary.warmed} skill(s) warmed, ${summary.cached} already cached, ` +
+        `${summary.deferred} deferred, ${summary.failed} failed`
+      );
+    }
+  }
+
+  /**
+   * Fetch a skill's demand and trend, within the providers' quotas
+   * Returns { status: warmed | cached | deferred | failed, errors }
+   * cached: no quota-limited provider needed a call
+   * deferred: a provider had no quota to spare, so its data was not fetched
+   */
+  async warmSkill(skill, track, window) {
+    const providers = this.providers.getProviders().filter(provider => provider.estimateCalls && provider.getQuota);
+    const costs = this.planner.estimate(providers, [skill], track, {}, window, true)[skill];
+    const upstream = providers.filter(provider => costs[provider.id].demand + costs[provider.id].trends > 0);
+
+    // Still fetched when cached: providers without a quota (e.g. npm) are not estimated
+    const short = [];
+    for (const provider of upstream) {
+      const calls = Math.ceil(costs[provider.id].demand + costs[provider.id].trends);
+      if (!(await this.hasQuota(provider, calls))) {
+        short.push(provider.id);
+      }
+    }
+
+    // A trend needs every provider's series (see RequestBudgetPlanner.plan)
+    const skipTrend = short.some(id => costs[id].trends > 0);
+    const errors = [];
+
+    try {
+      const { sources } = await this.providers.getSkillDemand(skill, track, {}, window, { skip: short });
+      sources
+        .filter(source => source.error && !short.includes(source.id))
+        .forEach(source => errors.push(`${source.label}: ${source.error}`));
+
+      if (!skipTrend) {
+        await this.providers.getSkillDemandOverTime(skill, track, {}, window);
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (errors.length > 0) {
+      return { status: 'failed', errors };
+    }
+    if (short.length > 0) {
+      return { status: 'deferred', errors };
+    }
+    return { status: upstream.length > 0 ? 'warmed' : 'cached', errors };
+  }
+
+  /**
+   * Whether a provider can spend calls and keep its reserve for users
+   * Waits for the quota to reset when it resets soon (e.g. GitHub search, per minute)
+   */
+  async hasQuota(provider, calls) {
+    const { QUOTA_RESERVE, MAX_QUOTA_WAIT_MS } = CONSTANTS.CACHE.WARMUP;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      let quota;
+      try {
+        quota = await provider.getQuota(null);
+      } catch (error) {
+        console.error(`[Warmup] ${provider.label} quota check error:`, error.message);
+        return false;
+      }
+
+      if (!Number.isFinite(quota?.remaining) || calls <= quota.remaining - QUOTA_RESERVE) {
+        return true;
+      }
+
+      const wait = quota.reset ? new Date(quota.reset).getTime() - Date.now() + 1000 : Infinity;
+      if (attempt > 0 || wait > MAX_QUOTA_WAIT_MS) {
+        return false;
+      }
+      await this.sleep(Math.max(wait, 0));
+    }
+
+    return false;
+  }
+
+  /**
+   * Scheduler state, the run in progress and the last run
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      intervalHours: this.intervalMs / 3600000,
+      spacingMs: this.spacingMs,
+      running: this.progress !== null,
+      progress: this.progress,
+      nextRunAt: this.nextRunAt,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Helper: Sleep for ms (overridden in tests)
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export { CacheWarmupScheduler };
+export default new CacheWarmupScheduler();
@@ -0,0 +1,193 @@
+/**
+ * Calendar export service
+ * Builds RFC 5545 iCalendar (.ics) files from learning plans,
+ * with one all-day event (or task) per skill
+ */
+
+import crypto from 'crypto';
+import learningPlanService from './learningPlanService.js';
+import { getPrerequisites, getSuggestedNext } from '../config/prerequisites.js';
+import { ROADMAPS } from '../config/roadmaps.js';
+import { CONSTANTS } from '../config/constants.js';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+class CalendarService {
+  /**
+   * Generate an .ics calendar for validation results
+   * Uses the given weekly plan, or builds one from the ordered gaps
+   * Options: learningPlan, userSkills, hoursPerWeek, startDate, itemType ('event' | 'task')
+   */
+  generateCalendar(results, options = {}) {
+    const {
+      learningPlan = null,
+      userSkills = [],
+      hoursPerWeek,
+      startDate,
+      itemType = CONSTANTS.CALENDAR.ITEM_TYPES.EVENT
+    } = options;
+
+    const plan = learningPlan || learningPlanService.generatePlan(results, { hoursPerWeek, startDate });
+    const trackName = ROADMAPS[plan.track]?.name || plan.track;
+    const stamp = this.formatDateTime(new Date());
+
+    const learned = userSkills.map(skill => (typeof skill === 'string' ? skill : skill.name));
+    const components = [];
+
+    plan.skills.forEach(item => {
+      components.push(...this.buildComponent(item, {
+        plan,
+        trackName,
+        stamp,
+        itemType,
+        learned: [...learned]
+      }));
+      learned.push(item.skill);
+    });
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${CONSTANTS.CALENDAR.PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(`${trackName} Learning Plan`)}`,
+      ...components,
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join(CRLF) + CRLF;
+  }
+
+  /**
+   * Build the VEVENT or VTODO lines for one scheduled skill
+   */
+  buildComponent(item, context) {
+    const { plan, trackName, stamp, itemType, learned } = context;
+    const isTask = itemType === CONSTANTS.CALENDAR.ITEM_TYPES.TASK;
+    const component = isTask ? 'VTODO' : 'VEVENT';
+
+    // DTEND/DUE are exclusive for all-day entries
+    const start = this.formatDate(item.startDate);
+    const end = this.formatDate(learningPlanService.formatDate(
+      learningPlanService.addDays(learningPlanService.parseDate(item.endDate), 1)
+    ));
+
+    const lines = [
+      `BEGIN:${component}`,
+      `UID:${this.buildUid(plan, item)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${start}`,
+      isTask ? `DUE;VALUE=DATE:${end}` : `DTEND;VALUE=DATE:${end}`,
+      `SUMMARY:${this.escapeText(`Learn ${item.skill}`)}`,
+      `DESCRIPTION:${this.escapeText(this.buildDescription(plan, item, learned))}`,
+      `CATEGORIES:${this.escapeText(trackName)}`
+    ];
+
+    if (isTask) {
+      lines.push('STATUS:NEEDS-ACTION');
+    } else {
+      lines.push('TRANSP:TRANSPARENT');
+    }
+
+    lines.push(`END:${component}`);
+    return lines;
+  }
+
+  /**
+   * Describe a scheduled skill: effort, weeks and prerequisite notes
+   */
+  buildDescription(plan, item, learned) {
+    const weeks = item.startWeek === item.endWeek
+      ? `week ${item.startWeek}`
+      : `weeks ${item.startWeek}-${item.endWeek}`;
+
+    const lines = [
+      `Step ${item.step} of ${plan.skills.length} in your ${plan.track} learning plan.`,
+      `Estimated effort: ${item.estimatedHours} hours (${weeks}, ${plan.hoursPerWeek} hours per week).`
+    ];
+
+    const prereqs = getPrerequisites(plan.track, item.skill);
+    if (prereqs.length > 0) {
+      lines.push(`Prerequisites: ${prereqs.join(', ')}`);
+    }
+
+    // Notes as of this step, counting earlier steps as learned
+    const [suggestion] = getSuggestedNext(plan.track, learned, [item.skill], 1);
+    if (suggestion) {
+      lines.push(suggestion.reason);
+    }
+
+    if (item.unlockedBy && item.unlockedBy.length > 0) {
+      lines.push(`Unlocked by: ${item.unlockedBy.map(u => `step ${u.step} (${u.skill})`).join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build a stable UID for a skill in a plan
+   */
+  buildUid(plan, item) {
+    const hash = crypto.createHash('sha1')
+      .update(`${plan.track}|${plan.startDate}|${item.step}|${item.skill}`)
+      .digest('hex')
+      .slice(0, 16);
+    return `${hash}@${CONSTANTS.CALENDAR.UID_DOMAIN}`;
+  }
+
+  /**
+   * Escape a TEXT value (RFC 5545 section 3.3.11)
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to at most 75 octets (RFC 5545 section 3.1)
+   * Continuation lines start with a single space; multi-byte characters are not split
+   */
+  foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+
+      current += char;
+      octets += size;
+    }
+
+    parts.push(current);
+    return parts.join(`${CRLF} `);
+  }
+
+  /**
+   * Helper: Format YYYY-MM-DD as an iCalendar DATE
+   */
+  formatDate(date) {
+    return date.replace(/-/g, '');
+  }
+
+  /**
+   * Helper: Format a timestamp as an iCalendar UTC DATE-TIME
+   */
+  formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+}
+
+export default new CalendarService();
@@ -5,6 +5,7 @@
  */
 
 import { CONSTANTS } from '../config/constants.js';
+import { describeWindow } from './demandWindow.js';
 
 // Try to import canvas, but handle gracefully if not available
 let createCanvas = null;
@@ -32,6 +33,9 @@ class ChartService {
 
   /**
    * Generate demand trend chart
+   * The default title names trendData.window. When trendData.trend is present (from getSkillTrends), the trend label is
+   * shown under the title and the forecast is drawn as a dashed line with its
+   * confidence band
    */
   generateDemandTrendChart(trendData, options = {}) {
     if (!canvasAvailable) {
@@ -42,7 +46,7 @@ class ChartService {
     const {
       width = CONSTANTS.CHARTS.DEFAULT_WIDTH,
       height = CONSTANTS.CHARTS.DEFAULT_HEIGHT,
-      title = 'Demand Trend Over Time'
+      title = `Demand Trend: ${describeWindow(trendData.window)}`
     } = options;
 
     try {
@@ -64,9 +68,37 @@ class ChartService {
       ctx.textAlign = 'center';
       ctx.fillText(title, width / 2, 30);
 
+      // Trend label
+      const trend = trendData.trend;
+      if (trend) {
+        const trendColors = {
+          [CONSTANTS.TREND_LABELS.RISING]: CONSTANTS.CHARTS.COLORS.SUCCESS,
+          [CONSTANTS.TREND_LABELS.STABLE]: '#666',
+          [CONSTANTS.TREND_LABELS.DECLINING]: CONSTANTS.CHARTS.COLORS.DANGER
+        };
+        const slope = `${trend.slopePercent > 0 ? '+' : ''}${trend.slopePercent}% per month`;
+
+        ctx.fillStyle = trendColors[trend.label];
+        ctx.font = '13px Arial';
+        ctx.fillText(`${trend.label.charAt(0).toUpperCase()}${trend.label.slice(1)} (${slope})`, width / 2, 48);
+      }
+      const forecast = trend?.forecast || [];
+
+      // One line per demand provider, plus the weighted combination
+      const series = [
+        ...(trendData.sources || []).map(source => ({
+          label: source.label,
+          color: source.color,
+          value: d => d.sources?.[source.id] || 0,
+          lineWidth: 2
+        })),
+        { label: 'Combined', color: CONSTANTS.CHARTS.COLORS.PRIMARY, value: d => d.combined || 0, lineWidth: 3 }
+      ];
+
       // Find max value for scaling
       const maxValue = Math.max(
-        ...trendData.monthlyData.map(d => Math.max(d.github, d.stackoverflow, d.combined))
+        ...trendData.periods.map(d => Math.max(...series.map(line => line.value(d)))),
+        ...forecast.map(f => f.upper)
       );
 
       if (maxValue === 0) {
@@ -111,24 +143,28 @@ class ChartService {
         ctx.stroke();
       }
 
-      // X-axis labels
+      // X-axis labels (forecast periods follow the measured ones; long weekly
+      // series only label every few weeks)
       ctx.fillStyle = '#666';
       ctx.textAlign = 'center';
-      const xStep = chartWidth / (trendData.monthlyData.length - 1 || 1);
-      trendData.monthlyData.forEach((data, index) => {
+      const periods = [...trendData.periods, ...forecast];
+      const xStep = chartWidth / (periods.length - 1 || 1);
+      const labelEvery = Math.ceil(periods.length / 12);
+      periods.forEach((data, index) => {
+        if (index % labelEvery !== 0) return;
         const x = padding.left + (index * xStep);
         ctx.fillText(data.label, x, padding.top + chartHeight + 25);
       });
 
       // Draw lines helper function
-      const drawLine = (dataKey, color, lineWidth = 2) => {
+      const drawLine = ({ value, color, lineWidth = 2 }) => {
         ctx.strokeStyle = color;
         ctx.lineWidth = lineWidth;
         ctx.beginPath();
 
-        trendData.monthlyData.forEach((data, index) => {
+        trendData.periods.forEach((data, index) => {
           const x = padding.left + (index * xStep);
-          const y = padding.top + chartHeight - (data[dataKey] * yScale);
+          const y = padding.top + chartHeight - (value(data) * yScale);
 
           if (index === 0) {
             ctx.moveTo(x, y);
@@ -141,9 +177,9 @@ class ChartService {
 
         // Draw points
         ctx.fillStyle = color;
-        trendData.monthlyData.forEach((data, index) => {
+        trendData.periods.forEach((data, index) => {
           const x = padding.left + (index * xStep);
-          const y = padding.top + chartHeight - (data[dataKey] * yScale);
+          const y = padding.top + chartHeight - (value(data) * yScale);
           
           ctx.beginPath();
           ctx.arc(x, y, 4, 0, Math.PI * 2);
@@ -151,18 +187,41 @@ class ChartService {
         });
       };
 
+      // Forecast: confidence band and dashed line from the last measured period
+      if (forecast.length > 0) {
+        const lastIndex = trendData.periods.length - 1;
+        const lastCombined = trendData.periods[lastIndex]?.combined || 0;
+        const toX = index => padding.left + ((lastIndex + 1 + index) * xStep);
+        const toY = value => padding.top + chartHeight - (value * yScale);
+
+        ctx.fillStyle = 'rgba(74, 144, 226, 0.15)';
+        ctx.beginPath();
+        ctx.moveTo(padding.left + lastIndex * xStep, toY(lastCombined));
+        forecast.forEach((f, index) => ctx.lineTo(toX(index), toY(f.upper)));
+        for (let index = forecast.length - 1; index >= 0; index--) {
+          ctx.lineTo(toX(index), toY(forecast[index].lower));
+        }
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.strokeStyle = CONSTANTS.CHARTS.COLORS.PRIMARY;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(padding.left + lastIndex * xStep, toY(lastCombined));
+        forecast.forEach((f, index) => ctx.lineTo(toX(index), toY(f.value)));
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
       // Draw all lines
-      drawLine('github', CONSTANTS.CHARTS.COLORS.GITHUB, 2);
-      drawLine('stackoverflow', CONSTANTS.CHARTS.COLORS.STACKOVERFLOW, 2);
-      drawLine('combined', CONSTANTS.CHARTS.COLORS.PRIMARY, 3);
+      series.forEach(line => drawLine(line));
 
       // Legend
       const legendY = height - 20;
-      const legendItems = [
-        { label: 'GitHub', color: CONSTANTS.CHARTS.COLORS.GITHUB },
-        { label: 'Stack Overflow', color: CONSTANTS.CHARTS.COLORS.STACKOVERFLOW },
-        { label: 'Combined', color: CONSTANTS.CHARTS.COLORS.PRIMARY }
-      ];
+      const legendItems = forecast.length > 0
+        ? [...series, { label: 'Forecast', color: CONSTANTS.CHARTS.COLORS.PRIMARY }]
+        : series;
 
       let legendX = (width - (legendItems.length * 120)) / 2;
       legendItems.forEach(item => {
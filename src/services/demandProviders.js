@@ -0,0 +1,323 @@
+/**
+ * Demand evidence providers
+ * Every source of demand data implements the same interface and declares
+ * the weight its counts carry in the combined demand score:
+ *   getSkillDemand(skill, track, credential, window) -> { count, error?, applicable? }
+ *   getSkillDemandOverTime(skill, track, credential, window) -> { periods: [{ period, label, start, end, count }] }
+ * window is { months, granularity } (see demandWindow.js).
+ * DEMAND_PROVIDERS selects the enabled providers and can override weights,
+ * e.g. "github,stackoverflow:0.5". normalizedWeight is the provider's share
+ * when log-scaled scores are combined (see ValidationService.normalizeDemand).
+ * applicable: false means the provider has nothing to measure for the skill.
+ * Providers with an upstream quota can also implement (see requestBudget.js):
+ *   estimateCalls(skill, track, window, { trends, credential }) -> { demand, trends }
+ *   getQuota(credential) -> { remaining, reset? } or null when unknown
+ */
+
+import githubService from './githubService.js';
+import stackoverflowService from './stackoverflowService.js';
+import npmService from './npmService.js';
+import jobPostingService from './jobPostingService.js';
+import { CONSTANTS } from '../config/constants.js';
+
+const REQUIRED_METHODS = ['getSkillDemand', 'getSkillDemandOverTime'];
+
+/**
+ * Services return cache results ({ data, fromCache, cacheStatus }) on success
+ * and plain objects on failure
+ */
+function unwrap(result) {
+  return result?.data || result || {};
+}
+
+/**
+ * Whether the data was fresh, stale or refreshed (null when not cached,
+ * e.g. job postings or offline snapshots)
+ */
+function cacheStatusOf(result) {
+  return result?.cacheStatus || null;
+}
+
+class DemandProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.config = null;
+  }
+
+  /**
+   * Register a provider
+   * Provider: { id, label, weight, getSkillDemand, getSkillDemandOverTime,
+   *             normalizedWeight?, color?, credential?, enabledByDefault?,
+   *             estimateCalls?, getQuota? }
+   */
+  register(provider) {
+    if (!provider || typeof provider.id !== 'string' || !provider.id) {
+      throw new Error('Demand provider must have an id');
+    }
+    if (typeof provider.weight !== 'number' || provider.weight < 0) {
+      throw new Error(`Demand provider "${provider.id}" must declare a non-negative weight`);
+    }
+    REQUIRED_METHODS.forEach(method => {
+      if (typeof provider[method] !== 'function') {
+        throw new Error(`Demand provider "${provider.id}" must implement ${method}`);
+      }
+    });
+
+    this.providers.set(provider.id, {
+      label: provider.id,
+      normalizedWeight: 1,
+      color: CONSTANTS.CHARTS.COLORS.INFO,
+      credential: null,
+      enabledByDefault: true,
+      ...provider
+    });
+    return this;
+  }
+
+  /**
+   * Apply a DEMAND_PROVIDERS spec ("id[:weight],...")
+   * An empty spec enables the providers that are on by default
+   */
+  configure(spec = '') {
+    const entries = String(spec || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      this.config = null;
+      return this;
+    }
+
+    this.config = new Map();
+    entries.forEach(entry => {
+      const [id, rawWeight] = entry.split(':').map(part => part.trim());
+
+      if (!this.providers.has(id)) {
+        console.error(`[Demand] Ignoring unknown provider "${id}" in DEMAND_PROVIDERS`);
+        return;
+      }
+
+      let weight = null;
+      if (rawWeight !== undefined) {
+        weight = Number(rawWeight);
+        if (rawWeight === '' || !Number.isFinite(weight) || weight < 0) {
+          console.error(`[Demand] Invalid weight "${rawWeight}" for provider "${id}", using its default`);
+          weight = null;
+        }
+      }
+
+      this.config.set(id, weight);
+    });
+
+    return this;
+  }
+
+  /**
+   * Get a registered provider by id (enabled or not)
+   */
+  getProvider(id) {
+    return this.providers.get(id) || null;
+  }
+
+  /**
+   * Get the enabled providers with their effective weights, in registration order
+   */
+  getProviders() {
+    return Array.from(this.providers.values())
+      .filter(provider => (this.config ? this.config.has(provider.id) : provider.enabledByDefault))
+      .map(provider => {
+        const weight = this.config?.get(provider.id);
+        return weight === null || weight === undefined ? provider : { ...provider, weight };
+      });
+  }
+
+  /**
+   * Describe the enabled providers (for clients and reports)
+   */
+  describeProviders() {
+    return this.getProviders().map(({ id, label, weight, color }) => ({ id, label, weight, color }));
+  }
+
+  /**
+   * Fetch current demand for a skill from every enabled provider
+   * A failing provider contributes a zero count and its error; providers
+   * listed in skip are not called (to stay within their quota)
+   * Each source reports its cacheStatus (see CacheService.getOrSet)
+   */
+  async getSkillDemand(skillName, track, credentials = {}, window = {}, { skip = [] } = {}) {
+    const sources = await Promise.all(
+      this.getProviders().map(async (provider) => {
+        let data;
+        let cacheStatus = null;
+        if (skip.includes(provider.id)) {
+          data = { count: 0, error: `Skipped to stay within the ${provider.label} API quota` };
+        } else {
+          try {
+            const result = await provider.getSkillDemand(
+              skillName,
+              track,
+              this.getCredential(provider, credentials),
+              window
+            );
+            data = unwrap(result);
+            cacheStatus = cacheStatusOf(result);
+          } catch (error) {
+            console.error(`[Demand] ${provider.label} error for ${skillName}:`, error.message);
+            data = { count: 0, error: error.message };
+          }
+        }
+
+        return {
+          id: provider.id,
+          label: provider.label,
+          count: data.count || 0,
+          weight: provider.weight,
+          normalizedWeight: provider.normalizedWeight,
+          applicable: data.applicable !== false,
+          error: data.error || null,
+          cacheStatus
+        };
+      })
+    );
+
+    return {
+      sources,
+      combinedScore: this.combine(sources.map(source => [source.count, source.weight]))
+    };
+  }
+
+  /**
+   * Fetch demand per period for a skill from every enabled provider
+   * Each period lists the count per provider id and the weighted combination,
+   * and marks error when a provider could not fetch it (failedSources); each
+   * source reports its cacheStatus and the error if its whole series failed
+   */
+  async getSkillDemandOverTime(skillName, track, credentials = {}, window = {}) {
+    const providers = this.getProviders();
+    const series = await Promise.all(
+      providers.map(async (provider) => {
+        try {
+          const result = await provider.getSkillDemandOverTime(
+            skillName,
+            track,
+            this.getCredential(provider, credentials),
+            window
+          );
+          return { periods: unwrap(result).periods || [], cacheStatus: cacheStatusOf(result), error: null };
+        } catch (error) {
+          console.error(`[Demand] ${provider.label} trend error for ${skillName}:`, error.message);
+          return { periods: [], cacheStatus: null, error: error.message };
+        }
+      })
+    );
+
+    // Periods come from the first provider that returned any
+    const buckets = series.find(({ periods }) => periods.length > 0)?.periods || [];
+
+    const periods = buckets.map(({ period, label, start, end }) => {
+      const entries = providers.map((provider, index) =>
+        series[index].periods.find(entry => entry.period === period)
+      );
+      const counts = entries.map(entry => entry?.count || 0);
+      // A provider whose whole series failed counts as failed in every period
+      const failedSources = providers
+        .filter((provider, index) => series[index].error || entries[index]?.error)
+        .map(provider => provider.id);
+
+      return {
+        period,
+        label,
+        start,
+        end,
+        sources: Object.fromEntries(providers.map((provider, index) => [provider.id, counts[index]])),
+        combined: this.combine(providers.map((provider, index) => [counts[index], provider.weight])),
+        // A failed period's count is understated (see analyzeTrend)
+        error: failedSources.length > 0,
+        failedSources
+      };
+    });
+
+    return {
+      sources: providers.map(({ id, label, weight, color }, index) => ({
+        id,
+        label,
+        weight,
+        color,
+        cacheStatus: series[index].cacheStatus,
+        error: series[index].error
+      })),
+      periods
+    };
+  }
+
+  /**
+   * Pick the credential a provider asked for (e.g. githubToken)
+   */
+  getCredential(provider, credentials) {
+    return provider.credential ? credentials[provider.credential] || null : null;
+  }
+
+  /**
+   * Helper: Weighted sum of [count, weight] pairs
+   */
+  combine(pairs) {
+    return pairs.reduce((sum, [count, weight]) => sum + count * weight, 0);
+  }
+}
+
+const demandProviders = new DemandProviderRegistry();
+
+demandProviders
+  .register({
+    id: 'github',
+    label: 'GitHub',
+    weight: 1,
+    color: CONSTANTS.CHARTS.COLORS.GITHUB,
+    credential: 'githubToken',
+    getSkillDemand: (skill, track, token) => githubService.getSkillDemand(skill, track, token),
+    getSkillDemandOverTime: (skill, track, token, window) =>
+      githubService.getSkillDemandOverTime(skill, track, token, window),
+    estimateCalls: (skill, track, window, { trends, credential }) =>
+      githubService.estimateCalls(skill, track, window, { trends, customToken: credential }),
+    getQuota: (token) => githubService.getQuota(token)
+  })
+  .register({
+    id: 'stackoverflow',
+    label: 'Stack Overflow',
+    weight: 0.5,
+    normalizedWeight: 0.5,
+    color: CONSTANTS.CHARTS.COLORS.STACKOVERFLOW,
+    credential: 'soKey',
+    getSkillDemand: (skill, track, key, window) => stackoverflowService.getSkillDemand(skill, track, key, window),
+    getSkillDemandOverTime: (skill, track, key, window) =>
+      stackoverflowService.getSkillDemandOverTime(skill, track, key, window),
+    estimateCalls: (skill, track, window, { trends }) => stackoverflowService.estimateCalls(skill, track, window, { trends }),
+    getQuota: async (key) => {
+      const status = await stackoverflowService.getQuotaStatus(key);
+      return status ? { remaining: status.quotaRemaining } : null;
+    }
+  })
+  .register({
+    // Monthly downloads run in the millions; scaled to sit alongside repository counts
+    id: 'npm',
+    label: 'npm',
+    weight: 0.0001,
+    color: CONSTANTS.CHARTS.COLORS.NPM,
+    getSkillDemand: (skill, track) => npmService.getSkillDemand(skill, track),
+    getSkillDemandOverTime: (skill, track, credential, window) => npmService.getSkillDemandOverTime(skill, track, window)
+  })
+  .register({
+    id: 'jobs',
+    label: 'Job Postings',
+    weight: 1,
+    color: CONSTANTS.CHARTS.COLORS.JOBS,
+    enabledByDefault: jobPostingService.isConfigured(),
+    getSkillDemand: (skill, track, credential, window) => jobPostingService.getSkillDemand(skill, track, window),
+    getSkillDemandOverTime: (skill, track, credential, window) =>
+      jobPostingService.getSkillDemandOverTime(skill, track, window)
+  })
+  .configure(process.env.DEMAND_PROVIDERS);
+
+export { DemandProviderRegistry };
+export default demandProviders;
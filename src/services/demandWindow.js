@@ -0,0 +1,157 @@
+/**
+ * Demand window helpers
+ * Calendar buckets (months or weeks) shared by every provider so their
+ * periods line up in trend merges. A window covers the current month and the
+ * months before it: { months: 3 | 6 | 12 | 24, granularity: 'monthly' | 'weekly' }
+ */
+
+import { CONSTANTS } from '../config/constants.js';
+
+/**
+ * Format a local date as YYYY-MM-DD
+ */
+export function formatLocalDay(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Parse a YYYY-MM-DD day as a local date
+ */
+export function parseLocalDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+}
+
+/**
+ * Fill in the default months and granularity of a window
+ */
+export function resolveWindow(window = {}) {
+  return {
+    months: Number(window?.months) || CONSTANTS.DEMAND_WINDOW.DEFAULT_MONTHS,
+    granularity: window?.granularity || CONSTANTS.DEMAND_WINDOW.DEFAULT_GRANULARITY
+  };
+}
+
+/**
+ * Check a requested window (null when valid, otherwise the problem)
+ * Missing months or granularity fall back to the defaults
+ */
+export function validateWindow({ months, granularity } = {}) {
+  const { MONTH_OPTIONS, GRANULARITIES } = CONSTANTS.DEMAND_WINDOW;
+
+  if (months !== undefined && months !== null && !MONTH_OPTIONS.includes(Number(months))) {
+    return `Window must be one of: ${MONTH_OPTIONS.join(', ')} months`;
+  }
+  if (granularity !== undefined && granularity !== null && !Object.values(GRANULARITIES).includes(granularity)) {
+    return `Granularity must be one of: ${Object.values(GRANULARITIES).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * First day of a window (the first day of its oldest month)
+ */
+export function getWindowStart(window, now = new Date()) {
+  const { months } = resolveWindow(window);
+  return new Date(now.getFullYear(), now.getMonth() - (months - 1), 1);
+}
+
+/**
+ * Helper: Monday on or before a date
+ */
+function startOfWeek(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+}
+
+/**
+ * Helper: Bucket for the month starting at a date
+ */
+function monthBucket(start) {
+  return {
+    period: formatLocalDay(start).slice(0, 7),
+    label: start.toLocaleDateString('en-US', { year: 'numeric', month: 'short' }),
+    start: formatLocalDay(start),
+    end: formatLocalDay(new Date(start.getFullYear(), start.getMonth() + 1, 0))
+  };
+}
+
+/**
+ * Helper: Bucket for the week starting at a Monday
+ */
+function weekBucket(start) {
+  return {
+    period: formatLocalDay(start),
+    label: start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    start: formatLocalDay(start),
+    end: formatLocalDay(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6))
+  };
+}
+
+/**
+ * The periods of a window in local time, oldest first
+ * Returns [{ period, label, start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }] where period
+ * is 'YYYY-MM' for months and the week's Monday ('YYYY-MM-DD') for weeks.
+ * The last period contains now, so it is usually incomplete.
+ */
+export function getPeriodBuckets(window, now = new Date()) {
+  const { months, granularity } = resolveWindow(window);
+  const first = getWindowStart({ months }, now);
+  const buckets = [];
+
+  if (granularity === CONSTANTS.DEMAND_WINDOW.GRANULARITIES.WEEKLY) {
+    const current = startOfWeek(now);
+    for (let start = startOfWeek(first); start <= current;
+      start = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7)) {
+      buckets.push(weekBucket(start));
+    }
+    return buckets;
+  }
+
+  for (let i = 0; i < months; i++) {
+    buckets.push(monthBucket(new Date(first.getFullYear(), first.getMonth() + i, 1)));
+  }
+  return buckets;
+}
+
+/**
+ * The n periods after a bucket (for forecasts)
+ */
+export function getFollowingPeriods(bucket, granularity, count) {
+  const start = parseLocalDay(bucket.start);
+  const following = [];
+
+  for (let i = 1; i <= count; i++) {
+    following.push(granularity === CONSTANTS.DEMAND_WINDOW.GRANULARITIES.WEEKLY
+      ? weekBucket(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * i))
+      : monthBucket(new Date(start.getFullYear(), start.getMonth() + i, 1)));
+  }
+
+  return following;
+}
+
+/**
+ * Describe a window for labels, e.g. "Past 12 months (weekly)"
+ */
+export function describeWindow(window) {
+  const { months, granularity } = resolveWindow(window);
+  return `Past ${months} months (${granularity})`;
+}
+
+/**
+ * Error for a demand series in which some periods could not be fetched
+ * Thrown from a cache factory, so the series is not cached for the full TTL
+ * but remembered as a failure for the error TTL (see CacheService.getOrSet);
+ * partial holds the series, failed periods marked error: true, so the request
+ * that fetched it can still use it
+ */
+export function partialSeriesError(series) {
+  const failed = series.periods.filter(period => period.error).length;
+  const error = new Error(`${failed} of ${series.periods.length} periods could not be fetched`);
+  error.partial = series;
+  error.cacheable = true;
+  return error;
+}
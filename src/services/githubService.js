@@ -1,15 +1,45 @@
 /**
  * GitHub API service for fetching skill demand data
+ * Repository counts come from REST search, one request per count, or with
+ * GITHUB_API_MODE=graphql from GraphQL search aliases, many counts per
+ * request. GraphQL needs a token, so without one REST is used.
  */
 
 import axios from 'axios';
 import cacheService from './cacheService.js';
+import httpClients from './httpClient.js';
+import snapshotService from './snapshotService.js';
 import { CONSTANTS } from '../config/constants.js';
+import { ROADMAPS, getGithubTopics } from '../config/roadmaps.js';
+import { getPeriodBuckets, partialSeriesError, resolveWindow } from './demandWindow.js';
 
 class GitHubService {
   constructor() {
     this.baseURL = CONSTANTS.API.GITHUB_BASE_URL;
     this.token = process.env.GITHUB_TOKEN || null;
+    this.apiMode = process.env.GITHUB_API_MODE === CONSTANTS.API.GITHUB_API_MODES.GRAPHQL
+      ? CONSTANTS.API.GITHUB_API_MODES.GRAPHQL
+      : CONSTANTS.API.GITHUB_API_MODES.REST;
+    this.http = httpClients.get('github', { label: 'GitHub' });
+
+    // GraphQL counts waiting to be sent, per token
+    this.pendingCounts = new Map();
+  }
+
+  /**
+   * API used for repository counts with a token (GraphQL only when configured and authenticated)
+   */
+  getApiMode(customToken = null) {
+    return this.apiMode === CONSTANTS.API.GITHUB_API_MODES.GRAPHQL && (customToken || this.token)
+      ? CONSTANTS.API.GITHUB_API_MODES.GRAPHQL
+      : CONSTANTS.API.GITHUB_API_MODES.REST;
+  }
+
+  /**
+   * Use another API mode ('rest' or 'graphql')
+   */
+  setApiMode(mode) {
+    this.apiMode = mode;
   }
 
   /**
@@ -29,6 +59,20 @@ class GitHubService {
     return headers;
   }
 
+  /**
+   * Cache key of a repository search
+   */
+  getSearchKey(query, { sort = 'stars', order = 'desc', perPage = 100 } = {}) {
+    return cacheService.generateKey('github:search', { query, sort, order, perPage });
+  }
+
+  /**
+   * Whether a REST repository count is cached (counting it again sends no request)
+   */
+  isCountCached(query) {
+    return cacheService.has(this.getSearchKey(query, { perPage: 1 }));
+  }
+
   /**
    * Search repositories by topic/keyword
    */
@@ -40,18 +84,13 @@ class GitHubService {
       perPage = 100
     } = options;
 
-    const cacheKey = cacheService.generateKey('github:search', {
-      query,
-      sort,
-      order,
-      perPage
-    });
+    const cacheKey = this.getSearchKey(query, { sort, order, perPage });
 
     try {
       const result = await cacheService.getOrSet(
         cacheKey,
         async () => {
-          const response = await axios.get(`${this.baseURL}/search/repositories`, {
+          const response = await this.http.get(`${this.baseURL}/search/repositories`, {
             params: {
               q: query,
               sort,
@@ -73,6 +112,10 @@ class GitHubService {
       return result;
     } catch (error) {
       console.error('[GitHub] Search error:', error.message);
+
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'BACKOFF') {
+        throw error;
+      }
       
       if (error.response?.status === 403) {
         throw new Error('GitHub API rate limit exceeded. Please provide an API token.');
@@ -86,100 +129,215 @@ class GitHubService {
     }
   }
 
+  /**
+   * Count the repositories matching a search query
+   * In GraphQL mode, counts requested together (e.g. every gap of a validation)
+   * are sent as aliases of as few GraphQL requests as possible
+   */
+  async countRepositories(query, customToken = null) {
+    if (this.getApiMode(customToken) === CONSTANTS.API.GITHUB_API_MODES.REST) {
+      const searchResult = await this.searchRepositories(query, {
+        customToken,
+        perPage: 1 // We only need the count
+      });
+      return searchResult.data.totalCount;
+    }
+
+    const token = customToken || this.token;
+    return new Promise((resolve, reject) => {
+      if (!this.pendingCounts.has(token)) {
+        this.pendingCounts.set(token, []);
+        // Collect the counts requested before the next turn of the event loop
+        setImmediate(() => this.flushCounts(token));
+      }
+      this.pendingCounts.get(token).push({ query, resolve, reject });
+    });
+  }
+
+  /**
+   * Send the pending GraphQL counts for a token, one batch at a time
+   */
+  async flushCounts(token) {
+    const pending = this.pendingCounts.get(token) || [];
+    this.pendingCounts.delete(token);
+
+    for (let i = 0; i < pending.length; i += CONSTANTS.API.GITHUB_GRAPHQL_BATCH_SIZE) {
+      const batch = pending.slice(i, i + CONSTANTS.API.GITHUB_GRAPHQL_BATCH_SIZE);
+
+      try {
+        const counts = await this.searchCounts(batch.map(item => item.query), token);
+        batch.forEach((item, index) => {
+          if (counts[index] instanceof Error) {
+            item.reject(counts[index]);
+          } else {
+            item.resolve(counts[index]);
+          }
+        });
+      } catch (error) {
+        batch.forEach(item => item.reject(error));
+      }
+    }
+  }
+
+  /**
+   * Fetch repository counts for several search queries in one GraphQL request
+   * Returns one count per query, or an Error for queries GitHub could not answer
+   */
+  async searchCounts(queries, token) {
+    const aliases = queries.map((query, index) => `q${index}`);
+    const document = `query(${aliases.map(alias => `$${alias}: String!`).join(', ')}) {\n` +
+      aliases.map(alias => `  ${alias}: search(query: $${alias}, type: REPOSITORY, first: 1) { repositoryCount }`).join('\n') +
+      '\n}';
+
+    try {
+      const response = await this.http.post(CONSTANTS.API.GITHUB_GRAPHQL_URL, {
+        query: document,
+        variables: Object.fromEntries(aliases.map((alias, index) => [alias, queries[index]]))
+      }, {
+        headers: this.getHeaders(token),
+        timeout: 15000
+      });
+
+      const { data, errors = [] } = response.data;
+      if (!data) {
+        throw new Error(errors[0]?.message || 'empty response');
+      }
+
+      return aliases.map(alias => {
+        if (data[alias]) {
+          return data[alias].repositoryCount;
+        }
+        const error = errors.find(e => e.path?.[0] === alias);
+        return new Error(`GitHub GraphQL error: ${error?.message || 'no result'}`);
+      });
+    } catch (error) {
+      console.error('[GitHub] GraphQL search error:', error.message);
+
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'BACKOFF') {
+        throw error;
+      }
+
+      if (error.response?.status === 403) {
+        throw new Error('GitHub API rate limit exceeded.');
+      }
+
+      if (error.response?.status === 401) {
+        throw new Error('Invalid GitHub token. Please check your credentials.');
+      }
+
+      throw new Error(`GitHub GraphQL error: ${error.message}`);
+    }
+  }
+
   /**
    * Get repository count for a skill over time
-   * Returns monthly data for the past 6 months
+   * Returns one count per period of the window (default: past 6 months, monthly)
    */
-  async getSkillDemandOverTime(skillName, track, customToken = null) {
+  async getSkillDemandOverTime(skillName, track, customToken = null, window = {}) {
+    const { months, granularity } = resolveWindow(window);
+
+    if (snapshotService.isOffline()) {
+      return snapshotService.getSkillDemandOverTime('github', skillName, track, { months, granularity });
+    }
+
     const cacheKey = cacheService.generateKey('github:demand-trend', {
       skill: skillName,
       track,
-      months: CONSTANTS.DEMAND_WINDOW_MONTHS
+      months,
+      granularity
     });
 
     try {
       const result = await cacheService.getOrSet(
         cacheKey,
         async () => {
-          const now = new Date();
-          const monthlyData = [];
-
-          // Generate queries for each month
-          for (let i = 0; i < CONSTANTS.DEMAND_WINDOW_MONTHS; i++) {
-            const date = new Date(now);
-            date.setMonth(date.getMonth() - i);
-            
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const startDate = `${year}-${month}-01`;
-            
-            // Calculate end date
-            const endDate = new Date(year, parseInt(month), 0);
-            const endDateStr = `${year}-${month}-${String(endDate.getDate()).padStart(2, '0')}`;
-
-            // Build query
-            const query = this.buildSkillQuery(skillName, track, startDate, endDateStr);
-
-            try {
-              const searchResult = await this.searchRepositories(query, {
-                customToken,
-                perPage: 1 // We only need the count
-              });
-
-              monthlyData.unshift({
-                month: `${year}-${month}`,
-                count: searchResult.data.totalCount,
-                label: date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' })
-              });
-
-              // Small delay to avoid rate limiting
-              await new Promise(resolve => setTimeout(resolve, 100));
-            } catch (error) {
-              console.error(`[GitHub] Error fetching data for ${year}-${month}:`, error.message);
-              monthlyData.unshift({
-                month: `${year}-${month}`,
-                count: 0,
-                label: date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' }),
-                error: true
-              });
+          const buckets = getPeriodBuckets({ months, granularity });
+          let periods = [];
+
+          if (this.getApiMode(customToken) === CONSTANTS.API.GITHUB_API_MODES.GRAPHQL) {
+            // Every period in one batch
+            periods = await Promise.all(
+              buckets.map(bucket => this.countPeriod(skillName, track, bucket, customToken))
+            );
+          } else {
+            // One query per period
+            for (const bucket of buckets) {
+              const period = await this.countPeriod(skillName, track, bucket, customToken);
+              periods.push(period);
+
+              if (!period.error) {
+                // Small delay to avoid rate limiting
+                await new Promise(resolve => setTimeout(resolve, 100));
+              }
             }
           }
 
-          return {
+          const series = {
             skill: skillName,
             track,
-            monthlyData,
+            granularity,
+            periods,
             timestamp: new Date().toISOString()
           };
+
+          if (periods.some(period => period.error)) {
+            throw partialSeriesError(series);
+          }
+          return series;
         }
       );
 
       return result;
     } catch (error) {
       console.error('[GitHub] Demand trend error:', error.message);
+
+      // Not cached, but still used for this request
+      if (error.partial) {
+        return { data: error.partial, fromCache: false, cacheStatus: CONSTANTS.CACHE.STATUS.REFRESHED };
+      }
       throw error;
     }
   }
 
+  /**
+   * Helper: Count a skill's repositories created within one period
+   */
+  async countPeriod(skillName, track, bucket, customToken) {
+    const query = this.buildSkillQuery(skillName, track, bucket.start, bucket.end);
+
+    try {
+      return { ...bucket, count: await this.countRepositories(query, customToken) };
+    } catch (error) {
+      console.error(`[GitHub] Error fetching data for ${bucket.period}:`, error.message);
+      return { ...bucket, count: 0, error: true };
+    }
+  }
+
   /**
    * Build search query for a skill
+   * Skills with githubTopics in the roadmap match repositories carrying all
+   * of those topics; others match the skill name in READMEs and descriptions
    */
   buildSkillQuery(skillName, track, startDate = null, endDate = null) {
-    // Normalize skill name for search
-    const searchTerm = skillName.toLowerCase()
-      .replace(/[\/\\]/g, '-')  // Replace slashes
-      .replace(/\+/g, 'plus')   // ES6+ -> ES6plus
-      .replace(/\./g, '');      // Node.js -> nodejs
-
-    let query = `${searchTerm} in:readme,description`;
-
-    // Add track context
-    if (track === 'frontend') {
-      query += ' frontend OR client-side OR browser';
-    } else if (track === 'backend') {
-      query += ' backend OR server-side OR api';
-    } else if (track === 'fullstack') {
-      query += ' fullstack OR full-stack OR web-development';
+    const topics = getGithubTopics(track, skillName);
+    let query;
+
+    if (topics.length > 0) {
+      query = this.buildTopicQuery(topics);
+    } else {
+      // Normalize skill name for search
+      const searchTerm = skillName.toLowerCase()
+        .replace(/[\/\\]/g, '-')  // Replace slashes
+        .replace(/\+/g, 'plus')   // ES6+ -> ES6plus
+        .replace(/\./g, '');      // Node.js -> nodejs
+
+      query = `${searchTerm} in:readme,description`;
+
+      // Add track context
+      const searchContext = ROADMAPS[track]?.searchContext || [];
+      if (searchContext.length > 0) {
+        query += ` ${searchContext.join(' OR ')}`;
+      }
     }
 
     // Add date range if provided
@@ -190,10 +348,22 @@ class GitHubService {
     return query;
   }
 
+  /**
+   * Search query for repositories carrying all of the given topics
+   */
+  buildTopicQuery(topics) {
+    return topics.map(topic => `topic:${topic}`).join(' ');
+  }
+
   /**
    * Get current demand for a skill (simple count)
+   * The count covers all repositories, so it does not depend on the demand window
    */
   async getSkillDemand(skillName, track, customToken = null) {
+    if (snapshotService.isOffline()) {
+      return snapshotService.getSkillDemand('github', skillName, track);
+    }
+
     const cacheKey = cacheService.generateKey('github:demand', {
       skill: skillName,
       track
@@ -204,15 +374,11 @@ class GitHubService {
         cacheKey,
         async () => {
           const query = this.buildSkillQuery(skillName, track);
-          const searchResult = await this.searchRepositories(query, {
-            customToken,
-            perPage: 1
-          });
 
           return {
             skill: skillName,
             track,
-            count: searchResult.data.totalCount,
+            count: await this.countRepositories(query, customToken),
             timestamp: new Date().toISOString()
           };
         }
@@ -231,8 +397,54 @@ class GitHubService {
     }
   }
 
+  /**
+   * Estimate the requests a demand lookup would send (0 when cached or offline)
+   * trends: also count the per-period searches of getSkillDemandOverTime.
+   * In GraphQL mode a search is a share of a batched request.
+   */
+  estimateCalls(skillName, track, window = {}, { trends = false, customToken = null } = {}) {
+    if (snapshotService.isOffline()) {
+      return { demand: 0, trends: 0 };
+    }
+
+    const { months, granularity } = resolveWindow(window);
+    const demandKey = cacheService.generateKey('github:demand', { skill: skillName, track });
+    const trendKey = cacheService.generateKey('github:demand-trend', { skill: skillName, track, months, granularity });
+    const perSearch = this.getApiMode(customToken) === CONSTANTS.API.GITHUB_API_MODES.GRAPHQL
+      ? 1 / CONSTANTS.API.GITHUB_GRAPHQL_BATCH_SIZE
+      : 1;
+
+    return {
+      demand: cacheService.has(demandKey) ? 0 : perSearch,
+      trends: !trends || cacheService.has(trendKey) ? 0 : getPeriodBuckets({ months, granularity }).length * perSearch
+    };
+  }
+
+  /**
+   * Remaining quota of the API used for repository counts
+   * (the search API for REST, the GraphQL API otherwise)
+   */
+  async getQuota(customToken = null) {
+    const status = await this.getRateLimitStatus(customToken);
+    return this.getApiMode(customToken) === CONSTANTS.API.GITHUB_API_MODES.GRAPHQL
+      ? status?.graphql || null
+      : status?.search || null;
+  }
+
+  /**
+   * Helper: Describe one rate limit resource from /rate_limit
+   */
+  formatRateLimit(resource) {
+    return resource ? {
+      limit: resource.limit,
+      remaining: resource.remaining,
+      reset: new Date(resource.reset * 1000).toISOString()
+    } : null;
+  }
+
   /**
    * Get rate limit status
+   * search and graphql hold the separate quotas of the APIs used for demand
    */
   async getRateLimitStatus(customToken = null) {
     try {
@@ -245,6 +457,9 @@ class GitHubService {
         limit: response.data.rate.limit,
         remaining: response.data.rate.remaining,
         reset: new Date(response.data.rate.reset * 1000).toISOString(),
+        search: this.formatRateLimit(response.data.resources?.search),
+        graphql: this.formatRateLimit(response.data.resources?.graphql),
+        apiMode: this.getApiMode(customToken),
         authenticated: !!customToken || !!this.token
       };
     } catch (error) {
@@ -0,0 +1,329 @@
+/**
+ * Shared HTTP client for upstream APIs
+ * Retries rate-limited and failing requests with exponential backoff and
+ * jitter, waits as long as the API asks (Retry-After, GitHub's
+ * X-RateLimit-Reset, Stack Exchange's backoff field) and stops calling a
+ * service that keeps failing (circuit breaker), so one provider cannot burn
+ * through quota on requests that will fail anyway.
+ */
+
+import axios from 'axios';
+import { CONSTANTS } from '../config/constants.js';
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker for one upstream service
+ * Opens after FAILURE_THRESHOLD failed requests in a row (or when the API says
+ * it is rate limited for longer than we are willing to wait) and lets a single
+ * trial request through once the cooldown has passed
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || CONSTANTS.HTTP.BREAKER_FAILURE_THRESHOLD;
+    this.cooldownMs = options.cooldownMs || CONSTANTS.HTTP.BREAKER_COOLDOWN_MS;
+    this.failures = 0;
+    this.openUntil = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Current state: closed, open or half_open (cooldown over, next request is a trial)
+   */
+  getState(now = Date.now()) {
+    if (this.openUntil === null) {
+      return BREAKER_STATES.CLOSED;
+    }
+    return now < this.openUntil ? BREAKER_STATES.OPEN : BREAKER_STATES.HALF_OPEN;
+  }
+
+  /**
+   * Whether a request may be sent
+   * In half_open state the first caller takes the trial and everyone else is
+   * turned away until it records a success or failure (or releases the trial)
+   */
+  canRequest(now = Date.now()) {
+    const state = this.getState(now);
+    if (state === BREAKER_STATES.CLOSED) {
+      return true;
+    }
+    if (state === BREAKER_STATES.OPEN || this.trialInFlight) {
+      return false;
+    }
+
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Give up the trial without an outcome, so the next request can take it
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Close the breaker after a successful request
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openUntil = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Count a failed request
+   * until: open the breaker until this time regardless of the failure count
+   */
+  recordFailure(error, until = null, now = Date.now()) {
+    const wasTrial = this.getState(now) === BREAKER_STATES.HALF_OPEN;
+
+    this.failures++;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date(now).toISOString();
+    this.trialInFlight = false;
+
+    if (until || wasTrial || this.failures >= this.failureThreshold) {
+      this.openUntil = Math.max(until || 0, now + this.cooldownMs);
+      console.error(`[HTTP] ${this.name} circuit open until ${new Date(this.openUntil).toISOString()}: ${this.lastError}`);
+    }
+  }
+
+  /**
+   * Describe the breaker (for /api/rate-limit-status)
+   */
+  getStatus(now = Date.now()) {
+    return {
+      state: this.getState(now),
+      failures: this.failures,
+      openUntil: this.openUntil ? new Date(this.openUntil).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt
+    };
+  }
+}
+
+/**
+ * HTTP client for one upstream service
+ */
+export class HttpClient {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.label = options.label || name;
+    this.maxRetries = options.maxRetries ?? CONSTANTS.HTTP.MAX_RETRIES;
+    this.baseDelayMs = options.baseDelayMs ?? CONSTANTS.HTTP.BASE_DELAY_MS;
+    this.maxWaitMs = options.maxWaitMs ?? CONSTANTS.HTTP.MAX_WAIT_MS;
+    this.getServiceDelay = options.getRetryDelay || (() => null);
+    // Sees every successful response (e.g. to note the quota it reports)
+    this.onResponse = options.onResponse || (() => {});
+    this.breaker = new CircuitBreaker(this.label, options);
+
+    // Per-path "do not call before" times from Stack Exchange's backoff field
+    this.backoffUntil = new Map();
+  }
+
+  /**
+   * Send a GET request with retries
+   */
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  /**
+   * Send a POST request with retries (e.g. GraphQL queries)
+   */
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  /**
+   * Send a request with retries
+   * Throws the last axios error when retries run out, or an error with
+   * code CIRCUIT_OPEN while the service is paused
+   */
+  async request(config) {
+    const path = new URL(config.url).pathname;
+    // Whether this request holds the breaker's half-open trial (kept across its retries)
+    let trial = false;
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        if (!trial) {
+          trial = this.assertCanRequest();
+        }
+        await this.waitForBackoff(path);
+
+        try {
+          const response = await axios.request(config);
+          this.recordBackoff(path, response);
+          this.breaker.recordSuccess();
+          this.onResponse(response);
+          return response;
+        } catch (error) {
+          this.recordBackoff(path, error.response);
+
+          if (!this.isRetryable(error)) {
+            // A bad query or token says nothing about the service's health: a trial
+            // is released below, so the next request can close the breaker
+            throw error;
+          }
+
+          const serverDelay = error.response ? this.getServerDelay(error.response) : null;
+          const delay = serverDelay ?? this.getBackoffDelay(attempt);
+
+          if (attempt >= this.maxRetries || delay > this.maxWaitMs) {
+            // A long rate limit keeps the circuit open until the API accepts requests again
+            this.breaker.recordFailure(error, serverDelay > this.maxWaitMs ? Date.now() + serverDelay : null);
+            throw error;
+          }
+
+          console.warn(`[HTTP] ${this.label} ${error.response?.status || error.code || 'error'}, ` +
+            `retrying in ${delay}ms (attempt ${attempt + 1} of ${this.maxRetries})`);
+          await this.sleep(delay);
+        }
+      }
+    } finally {
+      // A trial that ended without an outcome (non-retryable error, backoff we would not wait for)
+      if (trial && this.breaker.trialInFlight) {
+        this.breaker.releaseTrial();
+      }
+    }
+  }
+
+  /**
+   * Throw while the circuit breaker is open (or another request holds the trial)
+   * Returns whether this request took the half-open trial
+   */
+  assertCanRequest() {
+    const halfOpen = this.breaker.getState() === BREAKER_STATES.HALF_OPEN;
+    if (!this.breaker.canRequest()) {
+      const error = new Error(
+        `${this.label} requests are paused after repeated failures (until ${new Date(this.breaker.openUntil).toLocaleTimeString()})`
+      );
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+    return halfOpen;
+  }
+
+  /**
+   * Wait out a backoff the API asked for on this path
+   * Backoffs longer than we are willing to wait fail the request instead
+   */
+  async waitForBackoff(path) {
+    const wait = (this.backoffUntil.get(path) || 0) - Date.now();
+    if (wait > this.maxWaitMs) {
+      const error = new Error(`${this.label} asked to back off for ${Math.ceil(wait / 1000)}s`);
+      error.code = 'BACKOFF';
+      throw error;
+    }
+    if (wait > 0) {
+      await this.sleep(wait);
+    }
+  }
+
+  /**
+   * Remember a backoff field (seconds) from a response body
+   */
+  recordBackoff(path, response) {
+    const backoff = Number(response?.data?.backoff);
+    if (backoff > 0) {
+      this.backoffUntil.set(path, Date.now() + backoff * 1000);
+    }
+  }
+
+  /**
+   * Whether a failed request is worth retrying
+   * Network errors, timeouts, 429, 5xx and rate-limit 403s are; other
+   * client errors (bad query, bad token, not found) are not
+   */
+  isRetryable(error) {
+    const response = error.response;
+    if (!response) {
+      return error.code !== 'ERR_CANCELED';
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      return true;
+    }
+    return this.getServerDelay(response) !== null;
+  }
+
+  /**
+   * How long the API asked us to wait, in ms (null when it did not say)
+   */
+  getServerDelay(response) {
+    const headers = response.headers || {};
+
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (Number.isFinite(delay)) {
+        return Math.max(0, delay);
+      }
+    }
+
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+    }
+
+    if (Number(response.data?.backoff) > 0) {
+      return Number(response.data.backoff) * 1000;
+    }
+
+    return this.getServiceDelay(response);
+  }
+
+  /**
+   * Exponential backoff with equal jitter: half the delay is fixed, half random
+   */
+  getBackoffDelay(attempt) {
+    const delay = this.baseDelayMs * 2 ** attempt;
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Helper: Wait (replaced in tests)
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * One client per upstream service, so breakers are shared by all callers
+ */
+class HttpClientRegistry {
+  constructor() {
+    this.clients = new Map();
+  }
+
+  /**
+   * Get the client for a service, creating it on first use
+   */
+  get(name, options = {}) {
+    if (!this.clients.has(name)) {
+      this.clients.set(name, new HttpClient(name, options));
+    }
+    return this.clients.get(name);
+  }
+
+  /**
+   * Circuit breaker status per service
+   */
+  getStatus() {
+    return Object.fromEntries(
+      Array.from(this.clients.entries()).map(([name, client]) => [name, client.breaker.getStatus()])
+    );
+  }
+}
+
+export default new HttpClientRegistry();
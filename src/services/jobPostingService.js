@@ -0,0 +1,312 @@
+/**
+ * Job posting corpus as a demand signal
+ * Indexes CSV/JSONL exports in JOB_POSTINGS_DIR and counts the postings
+ * that mention a skill (or one of its aliases) per period. Works offline.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getSkillAliases } from '../config/roadmaps.js';
+import { CONSTANTS } from '../config/constants.js';
+import { getPeriodBuckets, resolveWindow, formatLocalDay } from './demandWindow.js';
+
+const PARSERS = {
+  '.csv': 'parseCsv',
+  '.jsonl': 'parseJsonl',
+  '.ndjson': 'parseJsonl'
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class JobPostingService {
+  constructor() {
+    this.directory = process.env.JOB_POSTINGS_DIR || null;
+    this.index = null;
+    this.indexSignature = null;
+    this.checkedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Whether a postings directory is configured
+   */
+  isConfigured() {
+    return Boolean(this.directory);
+  }
+
+  /**
+   * Point the service at another directory (drops the current index)
+   */
+  setDirectory(directory) {
+    this.directory = directory || null;
+    this.index = null;
+    this.indexSignature = null;
+    this.checkedAt = 0;
+  }
+
+  /**
+   * Get the postings index, re-reading the directory when its files changed
+   * The directory is checked at most once per RESCAN_INTERVAL_MS
+   */
+  async getIndex() {
+    if (!this.directory) {
+      throw new Error('JOB_POSTINGS_DIR is not configured');
+    }
+
+    if (this.index && Date.now() - this.checkedAt < CONSTANTS.JOB_POSTINGS.RESCAN_INTERVAL_MS) {
+      return this.index;
+    }
+
+    if (!this.loading) {
+      this.loading = this.refreshIndex().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Rebuild the index if any posting file was added, removed or modified
+   */
+  async refreshIndex() {
+    const files = await this.listFiles();
+    const signature = files.map(file => `${file.name}:${file.size}:${file.mtimeMs}`).join('|');
+
+    if (!this.index || signature !== this.indexSignature) {
+      const postings = [];
+
+      for (const file of files) {
+        const content = await fs.readFile(file.path, 'utf8');
+        const records = this[PARSERS[path.extname(file.name).toLowerCase()]](content, file.name);
+        postings.push(...records.map(record => this.toPosting(record)).filter(Boolean));
+      }
+
+      this.index = { postings, files: files.length, loadedAt: new Date().toISOString() };
+      this.indexSignature = signature;
+      console.log(`[Jobs] Indexed ${postings.length} postings from ${files.length} file(s)`);
+    }
+
+    this.checkedAt = Date.now();
+    return this.index;
+  }
+
+  /**
+   * List the supported posting files in the directory
+   */
+  async listFiles() {
+    const entries = await fs.readdir(this.directory, { withFileTypes: true });
+    const files = entries
+      .filter(entry => entry.isFile() && PARSERS[path.extname(entry.name).toLowerCase()])
+      .map(entry => entry.name)
+      .sort();
+
+    return Promise.all(files.map(async (name) => {
+      const filePath = path.join(this.directory, name);
+      const stats = await fs.stat(filePath);
+      return { name, path: filePath, size: stats.size, mtimeMs: stats.mtimeMs };
+    }));
+  }
+
+  /**
+   * Parse CSV with a header row (RFC 4180 quoting, embedded newlines allowed)
+   */
+  parseCsv(content) {
+    content = content.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+    const columns = header.map(column => column.trim());
+
+    return records.map(values =>
+      Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']))
+    );
+  }
+
+  /**
+   * Parse JSON Lines (one posting object per line; bad lines are skipped)
+   */
+  parseJsonl(content, fileName = 'postings') {
+    const records = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        if (record && typeof record === 'object') records.push(record);
+      } catch (error) {
+        console.error(`[Jobs] Skipping invalid JSON on line ${index + 1} of ${fileName}`);
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Turn a raw record into { day, text }
+   * Records without a recognizable posting date are ignored
+   */
+  toPosting(record) {
+    const dateField = CONSTANTS.JOB_POSTINGS.DATE_FIELDS.find(field => record[field]);
+    const day = dateField ? this.toDay(record[dateField]) : null;
+    if (!day) {
+      return null;
+    }
+
+    const text = Object.entries(record)
+      .filter(([field]) => field !== dateField)
+      .map(([, value]) => (Array.isArray(value) ? value.join(' ') : value))
+      .filter(value => typeof value === 'string')
+      .join('\n');
+
+    return { day, text };
+  }
+
+  /**
+   * Helper: Day (YYYY-MM-DD) of a posting date
+   * Leading ISO dates are taken as written (a bare month counts as its first
+   * day); other formats go through Date
+   */
+  toDay(value) {
+    const iso = String(value).match(/^(\d{4})-(\d{2})(?:-(\d{2}))?/);
+    if (iso) {
+      return `${iso[1]}-${iso[2]}-${iso[3] || '01'}`;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    return formatLocalDay(date);
+  }
+
+  /**
+   * Build a matcher for a skill name and its aliases
+   * Terms match as whole words; terms of two characters or fewer ("Go")
+   * are case-sensitive to avoid matching ordinary words
+   */
+  buildMatcher(skillName) {
+    const terms = [skillName, ...(getSkillAliases()[skillName] || [])];
+    const pattern = term => `(?<![A-Za-z0-9])${escapeRegExp(term)}(?![A-Za-z0-9])`;
+
+    const short = terms.filter(term => term.length <= 2);
+    const long = terms.filter(term => term.length > 2);
+    const matchers = [];
+
+    if (long.length > 0) matchers.push(new RegExp(long.map(pattern).join('|'), 'i'));
+    if (short.length > 0) matchers.push(new RegExp(short.map(pattern).join('|')));
+
+    return text => matchers.some(matcher => matcher.test(text));
+  }
+
+  /**
+   * Count postings that mention a skill in each of the given period buckets
+   */
+  async countByPeriod(skillName, buckets) {
+    const { postings } = await this.getIndex();
+    const matches = this.buildMatcher(skillName);
+    const counts = buckets.map(() => 0);
+
+    postings.forEach(posting => {
+      const index = buckets.findIndex(bucket => bucket.start <= posting.day && posting.day <= bucket.end);
+      if (index !== -1 && matches(posting.text)) {
+        counts[index]++;
+      }
+    });
+
+    return buckets.map((bucket, index) => ({ ...bucket, count: counts[index] }));
+  }
+
+  /**
+   * Get postings mentioning a skill per period
+   * Returns one count per period of the window (default: past 6 months, monthly)
+   */
+  async getSkillDemandOverTime(skillName, track, window = {}) {
+    const { months, granularity } = resolveWindow(window);
+
+    try {
+      const periods = await this.countByPeriod(skillName, getPeriodBuckets({ months, granularity }));
+
+      return {
+        skill: skillName,
+        track,
+        granularity,
+        periods,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('[Jobs] Demand trend error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get current demand for a skill (postings within the demand window)
+   */
+  async getSkillDemand(skillName, track, window = {}) {
+    const { months } = resolveWindow(window);
+
+    try {
+      const periods = await this.countByPeriod(skillName, getPeriodBuckets({ months }));
+
+      return {
+        skill: skillName,
+        track,
+        count: periods.reduce((sum, period) => sum + period.count, 0),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('[Jobs] Demand error:', error.message);
+      return {
+        skill: skillName,
+        track,
+        count: 0,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+export default new JobPostingService();
@@ -0,0 +1,139 @@
+/**
+ * Learning plan service
+ * Turns validation results into a week-by-week schedule using each skill's
+ * estimated hours, a weekly time budget and the prerequisite-based learning order
+ */
+
+import { getEstimatedHours } from '../config/roadmaps.js';
+import { getLearningOrder } from '../config/prerequisites.js';
+import { CONSTANTS } from '../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LearningPlanService {
+  /**
+   * Generate a schedule from validation results
+   * Options: hoursPerWeek, startDate (YYYY-MM-DD, defaults to today)
+   */
+  generatePlan(results, options = {}) {
+    const {
+      hoursPerWeek = CONSTANTS.LEARNING_PLAN.DEFAULT_HOURS_PER_WEEK,
+      startDate = this.formatDate(new Date())
+    } = options;
+
+    const start = this.parseDate(startDate);
+    const steps = this.getOrderedSteps(results);
+
+    const weeks = [];
+    const skills = [];
+    let week = null;
+
+    const openWeek = () => {
+      const number = weeks.length + 1;
+      week = {
+        week: number,
+        startDate: this.formatDate(this.addDays(start, (number - 1) * 7)),
+        endDate: this.formatDate(this.addDays(start, number * 7 - 1)),
+        hours: 0,
+        skills: []
+      };
+      weeks.push(week);
+    };
+
+    steps.forEach(step => {
+      const estimatedHours = getEstimatedHours(results.track, step.skill);
+      let remaining = estimatedHours;
+
+      if (!week || week.hours >= hoursPerWeek) openWeek();
+      const startWeek = week;
+
+      while (remaining > 0) {
+        if (week.hours >= hoursPerWeek) openWeek();
+
+        const hours = Math.min(remaining, hoursPerWeek - week.hours);
+        week.skills.push({ skill: step.skill, hours: this.round(hours) });
+        week.hours += hours;
+        remaining -= hours;
+      }
+
+      skills.push({
+        step: skills.length + 1,
+        skill: step.skill,
+        estimatedHours,
+        addedAsPrerequisite: Boolean(step.addedAsPrerequisite),
+        unlockedBy: step.unlockedBy || [],
+        startWeek: startWeek.week,
+        endWeek: week.week,
+        startDate: startWeek.startDate,
+        endDate: week.endDate
+      });
+    });
+
+    weeks.forEach(w => { w.hours = this.round(w.hours); });
+
+    return {
+      track: results.track,
+      hoursPerWeek,
+      startDate: this.formatDate(start),
+      endDate: weeks.length > 0 ? weeks[weeks.length - 1].endDate : this.formatDate(start),
+      totalHours: this.round(skills.reduce((sum, s) => sum + s.estimatedHours, 0)),
+      totalWeeks: weeks.length,
+      skills,
+      weeks
+    };
+  }
+
+  /**
+   * Get the skills to schedule, in learning order
+   * Uses the planned learningOrder when present, otherwise orders the gaps
+   * (fullstack results group gaps by section)
+   */
+  getOrderedSteps(results) {
+    if (Array.isArray(results.learningOrder) && results.learningOrder.length > 0) {
+      return results.learningOrder.map(step =>
+        typeof step === 'string' ? { skill: step } : step
+      );
+    }
+
+    const gaps = results.sections
+      ? Object.values(results.sections).flatMap(section => section.gaps || [])
+      : results.gaps || [];
+
+    return getLearningOrder(results.track, gaps.map(gap => gap.skill))
+      .map(skill => ({ skill }));
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as UTC midnight (null if invalid)
+   */
+  parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) || this.formatDate(date) !== value ? null : date;
+  }
+
+  /**
+   * Helper: Format a date as YYYY-MM-DD (UTC)
+   */
+  formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Helper: Add days to a date
+   */
+  addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Helper: Round hours to one decimal place
+   */
+  round(hours) {
+    return Math.round(hours * 10) / 10;
+  }
+}
+
+export default new LearningPlanService();
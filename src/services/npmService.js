@@ -0,0 +1,202 @@
+/**
+ * npm registry download counts as a demand signal
+ * Skills map to packages through the roadmap's npmPackages field
+ */
+
+import cacheService from './cacheService.js';
+import httpClients from './httpClient.js';
+import snapshotService from './snapshotService.js';
+import { CONSTANTS } from '../config/constants.js';
+import { getNpmPackages } from '../config/roadmaps.js';
+import { getPeriodBuckets, formatLocalDay, parseLocalDay, resolveWindow } from './demandWindow.js';
+
+class NpmService {
+  constructor() {
+    this.baseURL = CONSTANTS.API.NPM_BASE_URL;
+    this.http = httpClients.get('npm', { label: 'npm' });
+  }
+
+  /**
+   * Fetch downloads for a package over a period
+   * period: 'last-month' (total) or 'YYYY-MM-DD:YYYY-MM-DD' (daily range)
+   */
+  async getDownloads(packageName, period = 'last-month') {
+    const range = period.includes(':');
+    const cacheKey = cacheService.generateKey('npm:downloads', {
+      package: packageName,
+      period
+    });
+
+    try {
+      const result = await cacheService.getOrSet(
+        cacheKey,
+        async () => {
+          const response = await this.http.get(
+            `${this.baseURL}/downloads/${range ? 'range' : 'point'}/${period}/${packageName}`,
+            { timeout: 10000 }
+          );
+
+          return {
+            package: packageName,
+            downloads: response.data.downloads,
+            start: response.data.start,
+            end: response.data.end,
+            timestamp: new Date().toISOString()
+          };
+        }
+      );
+
+      return result;
+    } catch (error) {
+      console.error(`[npm] Downloads error for ${packageName}:`, error.message);
+
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'BACKOFF') {
+        throw error;
+      }
+
+      if (error.response?.status === 404) {
+        throw new Error(`npm package "${packageName}" not found`);
+      }
+
+      if (error.response?.status === 429) {
+        throw new Error('npm API rate limit exceeded.');
+      }
+
+      throw new Error(`npm API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get download counts per period for a skill's packages
+   * Returns one count per period of the window (default: past 6 months, monthly)
+   */
+  async getSkillDemandOverTime(skillName, track, window = {}) {
+    const { months, granularity } = resolveWindow(window);
+
+    if (snapshotService.isOffline()) {
+      return snapshotService.getSkillDemandOverTime('npm', skillName, track, { months, granularity });
+    }
+
+    const cacheKey = cacheService.generateKey('npm:demand-trend', {
+      skill: skillName,
+      track,
+      months,
+      granularity
+    });
+
+    try {
+      const result = await cacheService.getOrSet(
+        cacheKey,
+        async () => {
+          const buckets = getPeriodBuckets({ months, granularity });
+          const packages = getNpmPackages(track, skillName);
+          const ranges = this.getRangePeriods(buckets[0].start, formatLocalDay(new Date()));
+
+          // A few range requests per package cover the whole window
+          const results = await Promise.all(
+            packages.flatMap(name => ranges.map(range => this.getDownloads(name, range)))
+          );
+          const days = results.flatMap(range => range.data.downloads || []);
+
+          return {
+            skill: skillName,
+            track,
+            packages,
+            granularity,
+            periods: this.bucketByPeriod(days, buckets),
+            timestamp: new Date().toISOString()
+          };
+        }
+      );
+
+      return result;
+    } catch (error) {
+      console.error('[npm] Demand trend error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get current demand for a skill (downloads over the last month)
+   */
+  async getSkillDemand(skillName, track) {
+    if (snapshotService.isOffline()) {
+      return snapshotService.getSkillDemand('npm', skillName, track);
+    }
+
+    const cacheKey = cacheService.generateKey('npm:demand', {
+      skill: skillName,
+      track
+    });
+
+    try {
+      const result = await cacheService.getOrSet(
+        cacheKey,
+        async () => {
+          const packages = getNpmPackages(track, skillName);
+          const points = await Promise.all(
+            packages.map(name => this.getDownloads(name))
+          );
+
+          return {
+            skill: skillName,
+            track,
+            count: points.reduce((sum, point) => sum + (point.data.downloads || 0), 0),
+            applicable: packages.length > 0,
+            packages: points.map(point => ({
+              name: point.data.package,
+              downloads: point.data.downloads || 0
+            })),
+            timestamp: new Date().toISOString()
+          };
+        }
+      );
+
+      return result;
+    } catch (error) {
+      console.error('[npm] Demand error:', error.message);
+      return {
+        skill: skillName,
+        track,
+        count: 0,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Split a day range into range periods the API accepts
+   * ('YYYY-MM-DD:YYYY-MM-DD', at most NPM_RANGE_MONTHS each)
+   */
+  getRangePeriods(start, end) {
+    const last = parseLocalDay(end);
+    const periods = [];
+
+    for (let from = parseLocalDay(start); from <= last;) {
+      const to = new Date(from.getFullYear(), from.getMonth() + CONSTANTS.API.NPM_RANGE_MONTHS, from.getDate() - 1);
+      periods.push(`${formatLocalDay(from)}:${formatLocalDay(to < last ? to : last)}`);
+      from = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+    }
+
+    return periods;
+  }
+
+  /**
+   * Sum daily downloads ({ day, downloads }) into the given period buckets
+   */
+  bucketByPeriod(days, buckets) {
+    const totals = buckets.map(() => 0);
+
+    days.forEach(({ day, downloads }) => {
+      const index = buckets.findIndex(bucket => bucket.start <= day && day <= bucket.end);
+      if (index !== -1) {
+        totals[index] += downloads;
+      }
+    });
+
+    return buckets.map((bucket, index) => ({ ...bucket, count: totals[index] }));
+  }
+}
+
+export default new NpmService();
@@ -6,7 +6,10 @@
 
 import PDFDocument from 'pdfkit';
 import chartService from './chartService.js';
+import demandProviders from './demandProviders.js';
+import { describeWindow } from './demandWindow.js';
 import { CONSTANTS } from '../config/constants.js';
+import { ROADMAPS } from '../config/roadmaps.js';
 
 class PDFService {
   /**
@@ -15,7 +18,8 @@ class PDFService {
   async generateValidationReport(validationResults, options = {}) {
     const {
       userSkills = [],
-      track = validationResults.track
+      track = validationResults.track,
+      learningPlan = null
     } = options;
 
     return new Promise((resolve, reject) => {
@@ -49,7 +53,9 @@ class PDFService {
         }
         
         this.addGapAnalysis(doc, validationResults);
+        this.addUnderProficient(doc, validationResults);
         this.addLearningPath(doc, validationResults);
+        this.addLearningSchedule(doc, learningPlan);
         this.addKeepSharp(doc, validationResults);
         this.addEvidenceTables(doc, validationResults);
         this.addDataSources(doc, validationResults);
@@ -65,11 +71,6 @@ class PDFService {
    * Add cover page
    */
   addCoverPage(doc, results, track) {
-    const trackNames = {
-      frontend: 'Frontend Development',
-      backend: 'Backend Development',
-      fullstack: 'Full Stack Development'
-    };
 
     doc.fontSize(CONSTANTS.PDF.FONT_SIZES.TITLE)
        .fillColor('#2C3E50')
@@ -78,7 +79,13 @@ class PDFService {
 
     doc.fontSize(CONSTANTS.PDF.FONT_SIZES.HEADING)
        .fillColor('#34495E')
-       .text(trackNames[track] || track, 100, 300, { align: 'center' });
+       .text(ROADMAPS[track]?.name || track, 100, 300, { align: 'center' });
+
+    if (results.targetLevel) {
+      doc.fontSize(CONSTANTS.PDF.FONT_SIZES.SUBHEADING)
+         .fillColor('#7F8C8D')
+         .text(`Target Level: ${this.formatLevel(results.targetLevel)}`, 100, 325, { align: 'center' });
+    }
 
     doc.fontSize(CONSTANTS.PDF.FONT_SIZES.BODY)
        .fillColor('#7F8C8D')
@@ -86,6 +93,11 @@ class PDFService {
        .text(`Roadmap Version: ${results.roadmapVersion}`, 100, 370, { align: 'center' })
        .text(`Last Updated: ${CONSTANTS.ROADMAP_LAST_UPDATED}`, 100, 390, { align: 'center' });
 
+    if (results.demandSnapshot) {
+      doc.fillColor('#E67E22')
+         .text(`Demand Data: ${this.formatSnapshot(results.demandSnapshot)}`, 100, 410, { align: 'center' });
+    }
+
     doc.fontSize(CONSTANTS.PDF.FONT_SIZES.SMALL)
        .fillColor('#95A5A6')
        .text(`Based on ${CONSTANTS.ROADMAP_SOURCE}`, 100, 450, { align: 'center' })
@@ -107,6 +119,10 @@ class PDFService {
        .fillColor('#7F8C8D')
        .text('Coverage', centerX - 40, centerY + 80, { width: 80, align: 'center' });
 
+    if (results.weightedCoveragePercent !== undefined) {
+      doc.text(`Weighted: ${results.weightedCoveragePercent}%`, centerX - 60, centerY + 95, { width: 120, align: 'center' });
+    }
+
     doc.addPage();
   }
 
@@ -125,11 +141,16 @@ class PDFService {
 
     doc.moveDown();
     
+    const providers = demandProviders.describeProviders()
+      .map(provider => `${provider.label} (x${provider.weight})`)
+      .join(', ');
+
     const methodology = [
       'Core Skills: Curated from industry-standard roadmaps (roadmap.sh)',
       'Gap Analysis: Identifies missing skills from the core list',
       'Impact Weighting: Each skill weighted 1-10 based on criticality',
-      'Demand Evidence: Live data from GitHub repositories and Stack Overflow',
+      'Weighted Coverage: Skills below the expected proficiency earn partial credit',
+      `Demand Evidence: Weighted live data from ${providers || 'no enabled providers'}`,
       'Learning Order: Based on prerequisite chains',
       'Keep Sharp: Strong proficiency skills shown for maintenance'
     ];
@@ -154,10 +175,15 @@ class PDFService {
     this.addSection(doc, 'Executive Summary');
 
     const summaryData = [
+      ['Target Level', results.targetLevel ? this.formatLevel(results.targetLevel) : 'All core skills'],
+      ['Demand Data', results.demandSnapshot ? this.formatSnapshot(results.demandSnapshot) : 'Live'],
+      ['Demand Window', describeWindow(results.window)],
       ['Total Core Skills', results.totalCoreSkills],
       ['Your Skills', results.userSkillCount],
       ['Skill Gaps', results.gapCount],
-      ['Coverage', `${results.coveragePercent}%`]
+      ['Coverage', `${results.coveragePercent}%`],
+      ['Weighted Coverage', results.weightedCoveragePercent !== undefined ? `${results.weightedCoveragePercent}%` : 'N/A'],
+      ['Under-Proficient Skills', results.underProficient?.length || 0]
     ];
 
     const startY = doc.y;
@@ -281,23 +307,108 @@ class PDFService {
        })
        .moveDown();
 
-    // Table header
-    this.drawTableHeader(doc, ['Rank', 'Skill', 'Impact', 'Demand', 'GitHub', 'Stack Overflow']);
+    // Table header (one count column per demand provider)
+    const sources = results.gaps[0].evidence?.sources || [];
+    const headers = ['Rank', 'Skill', 'Impact', 'Demand', ...sources.map(source => source.label)];
+    this.drawTableHeader(doc, headers);
 
     results.gaps.forEach((gap, index) => {
       const rank = (index + 1).toString();
       const skill = gap.skill;
       const impact = gap.weight.toString();
-      const demand = gap.evidence?.demandCategory?.toUpperCase() || 'N/A';
-      const github = gap.evidence?.github?.count?.toLocaleString() || '0';
-      const stackoverflow = gap.evidence?.stackoverflow?.count?.toLocaleString() || '0';
+      const demand = gap.evidence?.demandCategory
+        ? `${gap.evidence.demandCategory.toUpperCase()}${gap.evidence.percentile != null ? ` (P${Math.round(gap.evidence.percentile)})` : ''}`
+        : 'N/A';
+      const counts = sources.map(source => {
+        const evidence = gap.evidence?.sources?.find(s => s.id === source.id);
+        return evidence?.applicable === false ? '-' : (evidence?.count || 0).toLocaleString();
+      });
 
-      this.drawTableRow(doc, [rank, skill, impact, demand, github, stackoverflow]);
+      this.drawTableRow(doc, [rank, skill, impact, demand, ...counts]);
 
       // Check for page break
       if (doc.y > doc.page.height - 100) {
         doc.addPage();
-        this.drawTableHeader(doc, ['Rank', 'Skill', 'Impact', 'Demand', 'GitHub', 'Stack Overflow']);
+        this.drawTableHeader(doc, headers);
+      }
+    });
+
+    doc.moveDown(2);
+  }
+
+  /**
+   * Add under-proficient skills
+   */
+  addUnderProficient(doc, results) {
+    if (!results.underProficient || results.underProficient.length === 0) {
+      return;
+    }
+
+    if (doc.y > 600) {
+      doc.addPage();
+    }
+
+    this.addSection(doc, 'Under-Proficient Skills');
+
+    doc.fontSize(CONSTANTS.PDF.FONT_SIZES.BODY)
+       .fillColor('#2C3E50')
+       .text('Core skills you have below the proficiency this roadmap expects. They earn partial credit in weighted coverage.', {
+         width: doc.page.width - 2 * CONSTANTS.PDF.MARGIN
+       })
+       .moveDown();
+
+    this.drawTableHeader(doc, ['Skill', 'Impact', 'Your Level', 'Expected']);
+
+    results.underProficient.forEach(item => {
+      this.drawTableRow(doc, [item.skill, item.weight.toString(), item.proficiency, item.expectedProficiency]);
+
+      if (doc.y > doc.page.height - 100) {
+        doc.addPage();
+        this.drawTableHeader(doc, ['Skill', 'Impact', 'Your Level', 'Expected']);
+      }
+    });
+
+    doc.moveDown(2);
+  }
+
+  /**
+   * Add week-by-week learning schedule (when a plan was generated)
+   */
+  addLearningSchedule(doc, plan) {
+    if (!plan || !plan.skills || plan.skills.length === 0) {
+      return;
+    }
+
+    doc.addPage();
+    this.addSection(doc, 'Learning Schedule');
+
+    doc.fontSize(CONSTANTS.PDF.FONT_SIZES.BODY)
+       .fillColor('#2C3E50')
+       .text(`${plan.totalHours} hours over ${plan.totalWeeks} weeks at ${plan.hoursPerWeek} hours per week, ` +
+             `from ${plan.startDate} to ${plan.endDate}. Skills follow the prerequisite-based learning order.`, {
+         width: doc.page.width - 2 * CONSTANTS.PDF.MARGIN
+       })
+       .moveDown();
+
+    const headers = ['Step', 'Skill', 'Hours', 'Weeks', 'Dates'];
+    this.drawTableHeader(doc, headers);
+
+    plan.skills.forEach(item => {
+      const weeks = item.startWeek === item.endWeek
+        ? `${item.startWeek}`
+        : `${item.startWeek}-${item.endWeek}`;
+
+      this.drawTableRow(doc, [
+        item.step.toString(),
+        item.skill,
+        item.estimatedHours.toString(),
+        weeks,
+        `${item.startDate} to ${item.endDate}`
+      ]);
+
+      if (doc.y > doc.page.height - 100) {
+        doc.addPage();
+        this.drawTableHeader(doc, headers);
       }
     });
 
@@ -343,7 +454,7 @@ class PDFService {
 
       for (let i = 0; i < learningOrder.length; i += itemsPerLine) {
         const line = learningOrder.slice(i, i + itemsPerLine)
-          .map((skill, idx) => `${i + idx + 1}. ${skill}`)
+          .map(step => `${step.step}. ${step.skill}`)
           .join('  |  ');
         
         doc.fontSize(CONSTANTS.PDF.FONT_SIZES.SMALL)
@@ -426,9 +537,11 @@ class PDFService {
       const evidence = [
         `Impact Weight: ${gap.weight}/10`,
         `Demand Category: ${gap.evidence?.demandCategory?.toUpperCase() || 'N/A'}`,
-        `GitHub Repos: ${gap.evidence?.github?.count?.toLocaleString() || 'N/A'}`,
-        `Stack Overflow Questions: ${gap.evidence?.stackoverflow?.count?.toLocaleString() || 'N/A'}`,
-        `Combined Score: ${Math.round(gap.evidence?.combinedScore || 0).toLocaleString()}`
+        ...(gap.evidence?.sources || []).map(source => this.formatEvidenceSource(source)),
+        `Combined Score: ${Math.round(gap.evidence?.combinedScore || 0).toLocaleString()}`,
+        gap.evidence?.normalizedScore != null
+          ? `Normalized Score: ${gap.evidence.normalizedScore}/100 (percentile ${gap.evidence.percentile} within the track)`
+          : 'Normalized Score: N/A (no demand data)'
       ];
 
       evidence.forEach(line => {
@@ -462,18 +575,21 @@ class PDFService {
       {
         title: 'Demand Data',
         items: [
-          'GitHub API: Repository counts by skill keywords',
-          'Stack Exchange API: Question counts by tags',
-          'Time Window: Past 6 months',
+          ...demandProviders.describeProviders().map(provider => `${provider.label}: weight ${provider.weight}`),
+          `Time Window: ${describeWindow(results.window)}`,
+          ...(results.demandSnapshot ? [this.formatSnapshot(results.demandSnapshot)] : []),
+          ...(results.budget?.degraded ? results.budget.warnings.map(warning => `Limited by API quota: ${warning}`) : []),
           `Report Generated: ${new Date(results.timestamp).toLocaleString()}`
         ]
       },
       {
         title: 'Demand Categories',
         items: [
-          `High: Combined score >= ${CONSTANTS.DEMAND_THRESHOLDS.HIGH}`,
-          `Medium: Combined score >= ${CONSTANTS.DEMAND_THRESHOLDS.MEDIUM}`,
-          `Low: Combined score < ${CONSTANTS.DEMAND_THRESHOLDS.MEDIUM}`
+          'Normalized Score: each provider\'s count on a log scale relative to the highest in the track (0-100)',
+          `High: Percentile >= ${CONSTANTS.DEMAND_PERCENTILES.HIGH} among the track's gaps`,
+          `Medium: Percentile >= ${CONSTANTS.DEMAND_PERCENTILES.MEDIUM}`,
+          `Low: Percentile < ${CONSTANTS.DEMAND_PERCENTILES.MEDIUM}`,
+          `With fewer than ${CONSTANTS.DEMAND_PERCENTILES.MIN_SAMPLE} gaps: High >= ${CONSTANTS.DEMAND_THRESHOLDS.HIGH}, Medium >= ${CONSTANTS.DEMAND_THRESHOLDS.MEDIUM} combined score`
         ]
       }
     ];
@@ -495,6 +611,43 @@ class PDFService {
     });
   }
 
+  /**
+   * Helper: Describe one provider's evidence for a gap
+   */
+  formatEvidenceSource(source) {
+    if (source.error) {
+      return `${source.label}: unavailable (${source.error})`;
+    }
+    if (source.applicable === false) {
+      return `${source.label}: not applicable`;
+    }
+
+    const normalized = source.normalizedScore != null ? `, normalized ${source.normalizedScore}/100` : '';
+    const stale = source.cacheStatus === CONSTANTS.CACHE.STATUS.STALE ? ', cached value past its TTL' : '';
+    return `${source.label}: ${source.count.toLocaleString()} (weight ${source.weight}${normalized}${stale})`;
+  }
+
+  /**
+   * Helper: Describe the offline demand snapshot a report is based on
+   */
+  formatSnapshot(snapshot) {
+    return snapshot.recordedAt
+      ? `Offline snapshot recorded ${new Date(snapshot.recordedAt).toLocaleString()}`
+      : 'Offline mode, no snapshot recorded';
+  }
+
+  /**
+   * Helper: Format seniority level for display
+   */
+  formatLevel(level) {
+    const labels = {
+      junior: 'Junior',
+      mid: 'Mid-Level',
+      senior: 'Senior'
+    };
+    return labels[level] || level;
+  }
+
   /**
    * Helper: Add section heading
    */
@@ -0,0 +1,206 @@
+/**
+ * Request budget planner for validation runs
+ * Estimates the upstream calls a validation will send (one demand lookup per
+ * gap and provider, plus one search per period for trends), checks them
+ * against the remaining quota of each provider that reports one and, when
+ * they do not fit, degrades instead of running out halfway: first a shorter
+ * demand window for trends, then live lookups for the highest-impact gaps
+ * only. Cached lookups cost nothing, so those gaps keep their cached data.
+ */
+
+import demandProviders from './demandProviders.js';
+import { describeWindow, getPeriodBuckets, resolveWindow } from './demandWindow.js';
+import { CONSTANTS } from '../config/constants.js';
+
+class RequestBudgetPlanner {
+  constructor(providers = demandProviders) {
+    this.providers = providers;
+  }
+
+  /**
+   * Plan the demand lookups of a validation run
+   * trends: the run also fetches each gap's demand trend (trending sort)
+   * Returns {
+   *   window,      // window to fetch with (shorter than requested when degraded)
+   *   skip,        // { [skill]: provider ids not to call for its demand }
+   *   skipTrends,  // skills whose trend is not fetched
+   *   budget: { estimatedCalls, remaining, degraded, warnings }
+   * }
+   */
+  async plan(gaps, track, credentials = {}, window = {}, { trends = false } = {}) {
+    const requested = resolveWindow(window);
+    const providers = this.providers.getProviders().filter(provider => provider.estimateCalls && provider.getQuota);
+
+    // Highest impact first, so those gaps are the last to lose live data
+    const skills = [...gaps].sort((a, b) => b.weight - a.weight).map(gap => gap.skill);
+
+    let costs = this.estimate(providers, skills, track, credentials, requested, trends);
+    const estimatedCalls = this.sumCalls(providers, costs);
+
+    const plan = {
+      window: requested,
+      skip: {},
+      skipTrends: [],
+      budget: { estimatedCalls, remaining: {}, degraded: false, warnings: [] }
+    };
+
+    const limited = providers.filter(provider => estimatedCalls[provider.id] > 0);
+    if (limited.length === 0) {
+      return plan;
+    }
+
+    const remaining = await this.getRemaining(limited, credentials);
+    plan.budget.remaining = remaining;
+
+    const fits = calls => limited.every(provider =>
+      remaining[provider.id] === null || calls[provider.id] <= remaining[provider.id]
+    );
+    if (fits(estimatedCalls)) {
+      return plan;
+    }
+
+    plan.budget.degraded = true;
+    limited
+      .filter(provider => remaining[provider.id] !== null && estimatedCalls[provider.id] > remaining[provider.id])
+      .forEach(provider => {
+        plan.budget.warnings.push(
+          `${provider.label}: about ${estimatedCalls[provider.id]} API calls needed, ${remaining[provider.id]} left in the quota`
+        );
+      });
+
+    // 1. Fewer trend periods
+    if (trends) {
+      for (const candidate of this.getShorterWindows(requested)) {
+        plan.window = candidate;
+        costs = this.estimate(providers, skills, track, credentials, candidate, trends);
+        if (fits(this.sumCalls(providers, costs))) {
+          break;
+        }
+      }
+
+      if (plan.window !== requested) {
+        plan.budget.warnings.push(
+          `Demand window shortened from ${describeWindow(requested).toLowerCase()} to ${describeWindow(plan.window).toLowerCase()}`
+        );
+      }
+      if (fits(this.sumCalls(providers, costs))) {
+        return plan;
+      }
+    }
+
+    // 2. Live lookups for the highest-impact gaps only
+    const left = { ...remaining };
+    const spend = (provider, calls) => {
+      if (left[provider.id] === null) {
+        return true;
+      }
+      if (calls > left[provider.id]) {
+        return false;
+      }
+      left[provider.id] -= calls;
+      return true;
+    };
+
+    limited.forEach(provider => {
+      const skipped = skills.filter(skill => !spend(provider, costs[skill][provider.id].demand));
+      skipped.forEach(skill => {
+        (plan.skip[skill] ||= []).push(provider.id);
+      });
+
+      if (skipped.length > 0) {
+        plan.budget.warnings.push(
+          `${skipped.length} of ${skills.length} gaps have no ${provider.label} data (only the highest-impact gaps were looked up)`
+        );
+      }
+    });
+
+    if (trends) {
+      // A trend needs every provider's series, or the combination is skewed
+      plan.skipTrends = skills.filter(skill => {
+        const affordable = !plan.skip[skill] && limited.every(provider =>
+          left[provider.id] === null || costs[skill][provider.id].trends <= left[provider.id]
+        );
+        if (affordable) {
+          limited.forEach(provider => spend(provider, costs[skill][provider.id].trends));
+        }
+        return !affordable;
+      });
+
+      if (plan.skipTrends.length > 0) {
+        plan.budget.warnings.push(
+          `Trends were not fetched for ${plan.skipTrends.length} of ${skills.length} gaps; they are listed last`
+        );
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Calls per skill and provider: { [skill]: { [providerId]: { demand, trends } } }
+   */
+  estimate(providers, skills, track, credentials, window, trends) {
+    return Object.fromEntries(skills.map(skill => [
+      skill,
+      Object.fromEntries(providers.map(provider => [
+        provider.id,
+        provider.estimateCalls(skill, track, window, {
+          trends,
+          credential: this.providers.getCredential(provider, credentials)
+        })
+      ]))
+    ]));
+  }
+
+  /**
+   * Total calls per provider: { [providerId]: calls }
+   * Rounded up, since batched lookups count as shares of one request
+   */
+  sumCalls(providers, costs) {
+    return Object.fromEntries(providers.map(provider => {
+      const sum = Object.values(costs).reduce((total, cost) => total + cost[provider.id].demand + cost[provider.id].trends, 0);
+      return [provider.id, Math.ceil(Number(sum.toFixed(6)))];
+    }));
+  }
+
+  /**
+   * Remaining quota per provider (null when it cannot be checked)
+   */
+  async getRemaining(providers, credentials) {
+    const quotas = await Promise.all(
+      providers.map(async (provider) => {
+        try {
+          const quota = await provider.getQuota(this.providers.getCredential(provider, credentials));
+          return Number.isFinite(quota?.remaining) ? quota.remaining : null;
+        } catch (error) {
+          console.error(`[Budget] ${provider.label} quota check error:`, error.message);
+          return null;
+        }
+      })
+    );
+
+    return Object.fromEntries(providers.map((provider, index) => [provider.id, quotas[index]]));
+  }
+
+  /**
+   * Windows with fewer periods than the requested one, most periods first
+   * (shorter windows at the same granularity, and monthly instead of weekly)
+   */
+  getShorterWindows(window) {
+    const { MONTH_OPTIONS, GRANULARITIES } = CONSTANTS.DEMAND_WINDOW;
+    const periodCount = candidate => getPeriodBuckets(candidate).length;
+    const granularities = window.granularity === GRANULARITIES.WEEKLY
+      ? [GRANULARITIES.WEEKLY, GRANULARITIES.MONTHLY]
+      : [window.granularity];
+
+    return granularities
+      .flatMap(granularity => MONTH_OPTIONS
+        .filter(months => months <= window.months)
+        .map(months => ({ months, granularity })))
+      .filter(candidate => periodCount(candidate) < periodCount(window))
+      .sort((a, b) => periodCount(b) - periodCount(a));
+  }
+}
+
+export { RequestBudgetPlanner };
+export default new RequestBudgetPlanner();
@@ -0,0 +1,97 @@
+/**
+ * Skill name normalizer
+ * Maps user-entered skill names and aliases ("ReactJS", "Postgres")
+ * to the canonical names used in the roadmaps
+ */
+
+import { getSkillAliases, toSkillKey } from '../config/roadmaps.js';
+import { roadmapRegistry } from '../config/roadmapLoader.js';
+import { CONSTANTS } from '../config/constants.js';
+
+const PROFICIENCY_ORDER = Object.values(CONSTANTS.PROFICIENCY_LEVELS);
+
+class SkillNormalizer {
+  constructor() {
+    this.index = null;
+    this.indexLoadedAt = null;
+  }
+
+  /**
+   * Get the alias index, rebuilding it when roadmaps were reloaded
+   */
+  getIndex() {
+    if (!this.index || this.indexLoadedAt !== roadmapRegistry.loadedAt) {
+      this.index = this.buildIndex(getSkillAliases());
+      this.indexLoadedAt = roadmapRegistry.loadedAt;
+    }
+    return this.index;
+  }
+
+  /**
+   * Build key -> canonical name lookup
+   * Canonical names take precedence over aliases
+   */
+  buildIndex(aliases) {
+    const index = new Map();
+
+    Object.keys(aliases).forEach(name => {
+      index.set(toSkillKey(name), name);
+    });
+
+    Object.entries(aliases).forEach(([name, skillAliases]) => {
+      skillAliases.forEach(alias => {
+        const key = toSkillKey(alias);
+        if (!index.has(key)) {
+          index.set(key, name);
+        }
+      });
+    });
+
+    return index;
+  }
+
+  /**
+   * Resolve a skill name or alias to its canonical name (null if unknown)
+   */
+  resolve(skillName) {
+    return this.getIndex().get(toSkillKey(skillName)) || null;
+  }
+
+  /**
+   * Normalize user skills to canonical names
+   * Duplicates after remapping keep the highest proficiency
+   */
+  normalizeSkills(userSkills) {
+    const merged = new Map();
+    const remapped = [];
+    const unrecognized = [];
+
+    userSkills.forEach(skill => {
+      const input = skill.name.trim();
+      const canonical = this.resolve(input);
+
+      if (!canonical) {
+        unrecognized.push(input);
+      } else if (canonical !== input) {
+        remapped.push({ input, skill: canonical });
+      }
+
+      const name = canonical || input;
+      const key = name.toLowerCase();
+      const existing = merged.get(key);
+
+      if (!existing ||
+          PROFICIENCY_ORDER.indexOf(skill.proficiency) > PROFICIENCY_ORDER.indexOf(existing.proficiency)) {
+        merged.set(key, { ...skill, name });
+      }
+    });
+
+    return {
+      skills: Array.from(merged.values()),
+      remapped,
+      unrecognized
+    };
+  }
+}
+
+export default new SkillNormalizer();
@@ -0,0 +1,194 @@
+/**
+ * Demand snapshot store
+ * Recorded demand data (npm run snapshot:record) that GitHub, Stack Overflow
+ * and npm answer from when OFFLINE_MODE is on, so reports stay meaningful
+ * without network access
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveWindow, describeWindow } from './demandWindow.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_SNAPSHOT_FILE = path.join(__dirname, '../../data/snapshots/demand-snapshot.json');
+
+const SNAPSHOT_VERSION = 2;
+
+class SnapshotService {
+  constructor() {
+    this.file = process.env.DEMAND_SNAPSHOT_FILE
+      ? path.resolve(process.env.DEMAND_SNAPSHOT_FILE)
+      : DEFAULT_SNAPSHOT_FILE;
+    this.offline = ['1', 'true', 'yes'].includes(String(process.env.OFFLINE_MODE).toLowerCase());
+    this.snapshot = undefined;
+  }
+
+  /**
+   * Whether services should answer from the snapshot
+   */
+  isOffline() {
+    return this.offline;
+  }
+
+  /**
+   * Turn offline mode on or off
+   */
+  setOffline(offline) {
+    this.offline = Boolean(offline);
+  }
+
+  /**
+   * Use another snapshot file (dropping the loaded snapshot)
+   */
+  setFile(file) {
+    this.file = path.resolve(file);
+    this.snapshot = undefined;
+  }
+
+  /**
+   * Load the snapshot file once (null when it does not exist or is invalid)
+   */
+  load() {
+    if (this.snapshot !== undefined) {
+      return this.snapshot;
+    }
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (snapshot.version !== SNAPSHOT_VERSION || !snapshot.providers) {
+        throw new Error(`unsupported snapshot version ${snapshot.version}`);
+      }
+      this.snapshot = snapshot;
+    } catch (error) {
+      console.error(`[Snapshot] Cannot load ${this.file}:`, error.message);
+      this.snapshot = null;
+    }
+
+    return this.snapshot;
+  }
+
+  /**
+   * Describe the snapshot in use (for responses and reports)
+   */
+  getSnapshotInfo() {
+    const snapshot = this.load();
+    return {
+      recordedAt: snapshot?.recordedAt || null,
+      window: snapshot?.window || null
+    };
+  }
+
+  /**
+   * Find a recorded entry for a provider, track and skill
+   * window (optional) must match the window the snapshot was recorded with;
+   * only the fields given are compared
+   */
+  getEntry(providerId, skillName, track, window = {}) {
+    const snapshot = this.load();
+    if (!snapshot) {
+      throw new Error(`No demand snapshot found at ${path.basename(this.file)}`);
+    }
+
+    const mismatch = Object.entries(window).some(([field, value]) => snapshot.window[field] !== value);
+    if (mismatch) {
+      throw new Error(`The demand snapshot covers ${describeWindow(snapshot.window).toLowerCase()} only`);
+    }
+
+    const entry = snapshot.providers[providerId]?.[track]?.[skillName];
+    if (!entry) {
+      throw new Error(`No snapshot data for ${skillName} (${track}) from ${providerId}`);
+    }
+
+    return { entry, recordedAt: snapshot.recordedAt };
+  }
+
+  /**
+   * Answer a getSkillDemand call from the snapshot
+   * Same shapes as the live services: { data } on success, a zero count with an error otherwise
+   */
+  getSkillDemand(providerId, skillName, track, window = {}) {
+    try {
+      const { entry, recordedAt } = this.getEntry(providerId, skillName, track, window);
+      return {
+        data: {
+          skill: skillName,
+          track,
+          count: entry.count,
+          applicable: entry.applicable !== false,
+          snapshotDate: recordedAt,
+          timestamp: recordedAt
+        },
+        fromCache: false
+      };
+    } catch (error) {
+      return {
+        skill: skillName,
+        track,
+        count: 0,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Answer a getSkillDemandOverTime call from the snapshot (throws when missing)
+   */
+  getSkillDemandOverTime(providerId, skillName, track, window = {}) {
+    const { entry, recordedAt } = this.getEntry(providerId, skillName, track, window);
+    if (!entry.periods) {
+      throw new Error(`No snapshot trend data for ${skillName} (${track}) from ${providerId}`);
+    }
+
+    return {
+      data: {
+        skill: skillName,
+        track,
+        periods: entry.periods,
+        snapshotDate: recordedAt,
+        timestamp: recordedAt
+      },
+      fromCache: false
+    };
+  }
+
+  /**
+   * Start a new, empty snapshot for a demand window
+   */
+  createSnapshot(recordedAt = new Date(), window = {}) {
+    return {
+      version: SNAPSHOT_VERSION,
+      recordedAt: recordedAt.toISOString(),
+      window: resolveWindow(window),
+      providers: {}
+    };
+  }
+
+  /**
+   * Add a provider's data for a skill to a snapshot
+   */
+  setEntry(snapshot, providerId, track, skillName, entry) {
+    const tracks = snapshot.providers[providerId] ||= {};
+    const skills = tracks[track] ||= {};
+    skills[skillName] = { ...skills[skillName], ...entry };
+    return snapshot;
+  }
+
+  /**
+   * Write a snapshot to disk and use it from now on
+   */
+  save(snapshot, file = this.file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+
+    if (path.resolve(file) === this.file) {
+      this.snapshot = snapshot;
+    }
+    return file;
+  }
+}
+
+export default new SnapshotService();
@@ -4,12 +4,53 @@
 
 import axios from 'axios';
 import cacheService from './cacheService.js';
+import httpClients from './httpClient.js';
+import snapshotService from './snapshotService.js';
 import { CONSTANTS } from '../config/constants.js';
+import { getStackOverflowTags } from '../config/roadmaps.js';
+import { getPeriodBuckets, getWindowStart, parseLocalDay, partialSeriesError, resolveWindow } from './demandWindow.js';
 
 class StackOverflowService {
   constructor() {
     this.baseURL = CONSTANTS.API.STACKOVERFLOW_BASE_URL;
     this.key = process.env.STACKOVERFLOW_KEY || null;
+    this.http = httpClients.get('stackoverflow', {
+      label: 'Stack Overflow',
+      getRetryDelay: response => this.getThrottleDelay(response),
+      onResponse: response => this.recordQuota(response)
+    });
+
+    // Last quota_remaining seen per key ('' without one), so checking the
+    // quota does not spend it on /info
+    this.quotas = new Map();
+  }
+
+  /**
+   * Note the quota every Stack Exchange response reports
+   */
+  recordQuota(response) {
+    const { quota_remaining: quotaRemaining, quota_max: quotaMax } = response.data || {};
+    if (!Number.isFinite(quotaRemaining)) {
+      return;
+    }
+
+    this.quotas.set(response.config?.params?.key || '', {
+      quotaRemaining,
+      quotaMax,
+      checkedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Delay from a throttle_violation error ("more requests available in N seconds")
+   */
+  getThrottleDelay(response) {
+    if (response.data?.error_name !== 'throttle_violation') {
+      return null;
+    }
+
+    const seconds = String(response.data.error_message).match(/available in (\d+) seconds/);
+    return seconds ? Number(seconds[1]) * 1000 : null;
   }
 
   /**
@@ -64,7 +105,7 @@ class StackOverflowService {
           if (fromDate) params.fromdate = fromDate;
           if (toDate) params.todate = toDate;
 
-          const response = await axios.get(`${this.baseURL}/questions`, {
+          const response = await this.http.get(`${this.baseURL}/questions`, {
             params,
             timeout: 10000,
             headers: {
@@ -85,8 +126,12 @@ class StackOverflowService {
       return result;
     } catch (error) {
       console.error('[StackOverflow] Search error:', error.message);
+
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'BACKOFF') {
+        throw error;
+      }
       
-      if (error.response?.status === 429) {
+      if (error.response?.status === 429 || error.response?.data?.error_name === 'throttle_violation') {
         throw new Error('Stack Overflow API rate limit exceeded.');
       }
 
@@ -100,34 +145,35 @@ class StackOverflowService {
 
   /**
    * Get question count for a skill over time
+   * Returns one count per period of the window (default: past 6 months, monthly)
    */
-  async getSkillDemandOverTime(skillName, track, customKey = null) {
+  async getSkillDemandOverTime(skillName, track, customKey = null, window = {}) {
+    const { months, granularity } = resolveWindow(window);
+
+    if (snapshotService.isOffline()) {
+      return snapshotService.getSkillDemandOverTime('stackoverflow', skillName, track, { months, granularity });
+    }
+
     const cacheKey = cacheService.generateKey('stackoverflow:demand-trend', {
       skill: skillName,
       track,
-      months: CONSTANTS.DEMAND_WINDOW_MONTHS
+      months,
+      granularity
     });
 
     try {
       const result = await cacheService.getOrSet(
         cacheKey,
         async () => {
-          const now = new Date();
-          const monthlyData = [];
+          const periods = [];
           const tags = this.buildSkillTags(skillName, track);
 
-          for (let i = 0; i < CONSTANTS.DEMAND_WINDOW_MONTHS; i++) {
-            const date = new Date(now);
-            date.setMonth(date.getMonth() - i);
-            
-            const year = date.getFullYear();
-            const month = date.getMonth() + 1;
-            
-            // Calculate Unix timestamps
-            const startDate = new Date(year, month - 1, 1);
-            const endDate = new Date(year, month, 0, 23, 59, 59);
-            
-            const fromDate = Math.floor(startDate.getTime() / 1000);
+          for (const bucket of getPeriodBuckets({ months, granularity })) {
+            // Calculate Unix timestamps (end of the period's last day)
+            const endDate = parseLocalDay(bucket.end);
+            endDate.setHours(23, 59, 59);
+
+            const fromDate = Math.floor(parseLocalDay(bucket.start).getTime() / 1000);
             const toDate = Math.floor(endDate.getTime() / 1000);
 
             try {
@@ -138,88 +184,177 @@ class StackOverflowService {
                 pageSize: 1 // We only need the count
               });
 
-              monthlyData.unshift({
-                month: `${year}-${String(month).padStart(2, '0')}`,
-                count: searchResult.data.total,
-                label: date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' })
-              });
+              periods.push({ ...bucket, count: searchResult.data.total });
 
               // Small delay to respect rate limits
               await new Promise(resolve => setTimeout(resolve, 100));
             } catch (error) {
-              console.error(`[StackOverflow] Error fetching data for ${year}-${month}:`, error.message);
-              monthlyData.unshift({
-                month: `${year}-${String(month).padStart(2, '0')}`,
-                count: 0,
-                label: date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' }),
-                error: true
-              });
+              console.error(`[StackOverflow] Error fetching data for ${bucket.period}:`, error.message);
+              periods.push({ ...bucket, count: 0, error: true });
             }
           }
 
-          return {
+          const series = {
             skill: skillName,
             track,
-            monthlyData,
+            granularity,
+            periods,
             timestamp: new Date().toISOString()
           };
+
+          if (periods.some(period => period.error)) {
+            throw partialSeriesError(series);
+          }
+          return series;
         }
       );
 
       return result;
     } catch (error) {
       console.error('[StackOverflow] Demand trend error:', error.message);
+
+      // Not cached, but still used for this request
+      if (error.partial) {
+        return { data: error.partial, fromCache: false, cacheStatus: CONSTANTS.CACHE.STATUS.REFRESHED };
+      }
       throw error;
     }
   }
 
   /**
    * Build tags for a skill
+   * The roadmap's stackoverflowTags when mapped (questions must carry all of
+   * them), otherwise a tag derived from the skill name
    */
   buildSkillTags(skillName, track) {
-    // Normalize skill name to tags
-    const baseTag = skillName.toLowerCase()
+    const tags = getStackOverflowTags(track, skillName);
+    return tags.length > 0 ? tags : [this.toTag(skillName)];
+  }
+
+  /**
+   * Derive a tag from a skill or alias name ("CSS Grid" -> "css-grid")
+   */
+  toTag(name) {
+    return name.toLowerCase()
       .replace(/\s+/g, '-')
       .replace(/\//g, '-')
       .replace(/\./g, '')
       .replace(/\+/g, 'plus');
+  }
 
-    const tags = [baseTag];
-
-    // Add common variations
-    const tagMap = {
-      'javascript': ['javascript', 'js'],
-      'typescript': ['typescript', 'ts'],
-      'nodejs': ['node.js', 'nodejs'],
-      'node.js': ['node.js', 'nodejs'],
-      'reactjs': ['reactjs', 'react'],
-      'react': ['reactjs', 'react'],
-      'expressjs': ['express', 'expressjs'],
-      'express.js': ['express', 'expressjs'],
-      'mongodb': ['mongodb', 'mongo'],
-      'postgresql': ['postgresql', 'postgres'],
-      'css3': ['css', 'css3'],
-      'html5': ['html', 'html5'],
-      'es6': ['ecmascript-6', 'es6'],
-      'async-await': ['async-await', 'javascript'],
-      'jwt': ['jwt', 'json-web-token'],
-      'oauth': ['oauth', 'oauth-2.0']
-    };
+  /**
+   * Get question counts of tags (/tags/{tags}/info)
+   * Returns { tag: count } for the tags that exist; synonyms and unknown
+   * tags are missing
+   */
+  async getTagInfo(tags, customKey = null) {
+    const counts = {};
 
-    if (tagMap[baseTag]) {
-      return tagMap[baseTag];
+    for (const chunk of this.chunkTags(tags)) {
+      const items = await this.getTagItems(chunk, 'info', customKey);
+      items.forEach(item => {
+        counts[item.name] = item.count;
+      });
     }
 
-    return tags;
+    return counts;
   }
 
   /**
-   * Get current demand for a skill
+   * Get the synonyms that point to tags (/tags/{tags}/synonyms)
+   * Returns { tag: [synonym, ...] }
    */
-  async getSkillDemand(skillName, track, customKey = null) {
+  async getTagSynonyms(tags, customKey = null) {
+    const synonyms = {};
+
+    for (const chunk of this.chunkTags(tags)) {
+      const items = await this.getTagItems(chunk, 'synonyms', customKey);
+      items.forEach(item => {
+        (synonyms[item.to_tag] ||= []).push(item.from_tag);
+      });
+    }
+
+    return synonyms;
+  }
+
+  /**
+   * Helper: Split tags into the 100-tag batches the API accepts
+   */
+  chunkTags(tags) {
+    const unique = [...new Set(tags)];
+    const chunks = [];
+    for (let i = 0; i < unique.length; i += 100) {
+      chunks.push(unique.slice(i, i + 100));
+    }
+    return chunks;
+  }
+
+  /**
+   * Helper: Fetch every page of a /tags/{tags}/{method} listing
+   */
+  async getTagItems(tags, method, customKey) {
+    const cacheKey = cacheService.generateKey(`stackoverflow:tags-${method}`, {
+      tags: tags.join(';')
+    });
+
+    try {
+      const result = await cacheService.getOrSet(
+        cacheKey,
+        async () => {
+          const items = [];
+          const path = tags.map(tag => encodeURIComponent(tag)).join(';');
+
+          for (let page = 1; ; page++) {
+            const response = await this.http.get(`${this.baseURL}/tags/${path}/${method}`, {
+              params: {
+                ...this.getQueryParams(customKey),
+                page,
+                pagesize: 100
+              },
+              timeout: 10000,
+              headers: {
+                'Accept-Encoding': 'gzip'
+              }
+            });
+
+            items.push(...response.data.items);
+            if (!response.data.has_more) {
+              return items;
+            }
+          }
+        }
+      );
+
+      return result.data;
+    } catch (error) {
+      console.error(`[StackOverflow] Tag ${method} error:`, error.message);
+
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'BACKOFF') {
+        throw error;
+      }
+
+      if (error.response?.status === 429 || error.response?.data?.error_name === 'throttle_violation') {
+        throw new Error('Stack Overflow API rate limit exceeded.');
+      }
+
+      throw new Error(`Stack Overflow API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get current demand for a skill (questions asked within the demand window)
+   */
+  async getSkillDemand(skillName, track, customKey = null, window = {}) {
+    const { months } = resolveWindow(window);
+
+    if (snapshotService.isOffline()) {
+      return snapshotService.getSkillDemand('stackoverflow', skillName, track, { months });
+    }
+
     const cacheKey = cacheService.generateKey('stackoverflow:demand', {
       skill: skillName,
-      track
+      track,
+      months
     });
 
     try {
@@ -228,10 +363,8 @@ class StackOverflowService {
         async () => {
           const tags = this.buildSkillTags(skillName, track);
           
-          // Get questions from last 6 months for relevance
-          const sixMonthsAgo = new Date();
-          sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-          const fromDate = Math.floor(sixMonthsAgo.getTime() / 1000);
+          // Only questions from the demand window, for relevance
+          const fromDate = Math.floor(getWindowStart({ months }).getTime() / 1000);
 
           const searchResult = await this.searchQuestions(tags, {
             customKey,
@@ -262,10 +395,38 @@ class StackOverflowService {
     }
   }
 
+  /**
+   * Estimate the API calls a demand lookup would send (0 when cached or offline)
+   * trends: also count the per-period calls of getSkillDemandOverTime
+   */
+  estimateCalls(skillName, track, window = {}, { trends = false } = {}) {
+    if (snapshotService.isOffline()) {
+      return { demand: 0, trends: 0 };
+    }
+
+    const { months, granularity } = resolveWindow(window);
+    const demandKey = cacheService.generateKey('stackoverflow:demand', { skill: skillName, track, months });
+    const trendKey = cacheService.generateKey('stackoverflow:demand-trend', { skill: skillName, track, months, granularity });
+
+    return {
+      demand: cacheService.has(demandKey) ? 0 : 1,
+      trends: !trends || cacheService.has(trendKey) ? 0 : getPeriodBuckets({ months, granularity }).length
+    };
+  }
+
   /**
    * Get quota information
+   * Uses the quota reported by the last response for the key; /info (which
+   * costs a request too) is only asked before the first request of the day,
+   * since quotas reset at midnight UTC
    */
   async getQuotaStatus(customKey = null) {
+    const authenticated = !!customKey || !!this.key;
+    const known = this.quotas.get(customKey || this.key || '');
+    if (known && known.checkedAt.slice(0, 10) === new Date().toISOString().slice(0, 10)) {
+      return { ...known, authenticated };
+    }
+
     try {
       const params = this.getQueryParams(customKey);
       
@@ -273,11 +434,13 @@ class StackOverflowService {
         params,
         timeout: 5000
       });
+      this.recordQuota(response);
 
       return {
         quotaRemaining: response.data.quota_remaining,
         quotaMax: response.data.quota_max,
-        authenticated: !!customKey || !!this.key
+        checkedAt: new Date().toISOString(),
+        authenticated
       };
     } catch (error) {
       console.error('[StackOverflow] Quota check error:', error.message);
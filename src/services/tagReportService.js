@@ -0,0 +1,169 @@
+/**
+ * Search term report (admin)
+ * Checks the Stack Overflow tags and GitHub topics a track's skills are
+ * measured with: which skills are mapped in the roadmap data, how many
+ * questions each tag has, which synonyms Stack Overflow folds into it and
+ * which skills' tags or topics return nothing, with tag suggestions taken
+ * from the skill's name and aliases
+ */
+
+import stackoverflowService from './stackoverflowService.js';
+import githubService from './githubService.js';
+import { CONSTANTS } from '../config/constants.js';
+import { getCoreSkills, getGithubTopics, getStackOverflowTags } from '../config/roadmaps.js';
+
+class TagReportService {
+  /**
+   * Build the report for a track
+   * Credentials: { soKey, githubToken }
+   */
+  async getReport(track, credentials = {}) {
+    const skills = getCoreSkills(track);
+
+    const [stackoverflow, github] = await Promise.all([
+      this.checkStackOverflowTags(track, skills, credentials.soKey),
+      this.checkGithubTopics(track, skills, credentials.githubToken)
+    ]);
+
+    const entries = skills.map((skill, index) => ({
+      skill: skill.name,
+      stackoverflow: stackoverflow.skills[index],
+      github: github[index]
+    }));
+
+    return {
+      track,
+      error: stackoverflow.error,
+      skills: entries,
+      zeroQuestions: entries
+        .filter(entry => entry.stackoverflow.questions === 0)
+        .map(entry => ({
+          skill: entry.skill,
+          tags: entry.stackoverflow.tags,
+          suggestions: entry.stackoverflow.suggestions
+        })),
+      zeroRepositories: entries
+        .filter(entry => entry.github.repositories === 0)
+        .map(entry => ({ skill: entry.skill, topics: entry.github.topics })),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check every skill's tags against /tags/{tags}/info and /tags/{tags}/synonyms
+   * A skill's question count is that of its rarest tag (questions must carry all
+   * of them); tags that are missing from the info response have no questions
+   */
+  async checkStackOverflowTags(track, skills, soKey = null) {
+    const checks = skills.map(skill => {
+      const mapped = getStackOverflowTags(track, skill.name);
+      const tags = stackoverflowService.buildSkillTags(skill.name, track);
+      const candidates = [skill.name, ...(skill.aliases || [])]
+        .map(name => stackoverflowService.toTag(name))
+        .filter(tag => !tags.includes(tag));
+
+      return { mapped: mapped.length > 0, tags, candidates };
+    });
+
+    const allTags = checks.flatMap(check => [...check.tags, ...check.candidates]);
+
+    let counts;
+    let synonyms;
+    try {
+      counts = await stackoverflowService.getTagInfo(allTags, soKey);
+      synonyms = await stackoverflowService.getTagSynonyms(Object.keys(counts), soKey);
+    } catch (error) {
+      return {
+        error: error.message,
+        skills: checks.map(({ mapped, tags }) => ({ mapped, tags, questions: null, tagCounts: {}, synonyms: {}, suggestions: [] }))
+      };
+    }
+
+    // Synonym -> the tag Stack Overflow files it under
+    const masters = new Map();
+    Object.entries(synonyms).forEach(([tag, list]) => list.forEach(synonym => masters.set(synonym, tag)));
+
+    return {
+      error: null,
+      skills: checks.map(({ mapped, tags, candidates }) => {
+        const tagCounts = Object.fromEntries(tags.map(tag => [tag, counts[tag] || 0]));
+        const questions = Math.min(...Object.values(tagCounts));
+
+        // Existing tags for the skill's name or aliases, or the tags that their synonyms point to
+        const suggestions = questions > 0 ? [] : [...new Set(
+          [...tags, ...candidates]
+            .map(tag => (counts[tag] ? tag : masters.get(tag)))
+            .filter(tag => tag && !tags.includes(tag))
+        )];
+
+        return {
+          mapped,
+          tags,
+          questions,
+          tagCounts,
+          synonyms: Object.fromEntries(tags.map(tag => [tag, synonyms[tag] || []])),
+          suggestions
+        };
+      })
+    };
+  }
+
+  /**
+   * Count the repositories of every mapped skill's topics
+   * Skills without githubTopics are searched by name, so they are not counted.
+   * GraphQL mode batches the counts; REST mode sends one search at a time and
+   * stops when the search quota runs out, so the report cannot trip the
+   * circuit breaker that users' validations share
+   */
+  async checkGithubTopics(track, skills, githubToken = null) {
+    const check = async (skill) => {
+      const topics = getGithubTopics(track, skill.name);
+      if (topics.length === 0) {
+        return { mapped: false, topics, repositories: null, error: null };
+      }
+
+      try {
+        const repositories = await githubService.countRepositories(githubService.buildTopicQuery(topics), githubToken);
+        return { mapped: true, topics, repositories, error: null };
+      } catch (error) {
+        return { mapped: true, topics, repositories: null, error: error.message };
+      }
+    };
+
+    if (githubService.getApiMode(githubToken) === CONSTANTS.API.GITHUB_API_MODES.GRAPHQL) {
+      return Promise.all(skills.map(check));
+    }
+
+    // An unknown quota does not limit the report (see RequestBudgetPlanner)
+    const remainingOf = quota => (Number.isFinite(quota?.remaining) ? quota.remaining : Infinity);
+    let quota = await githubService.getQuota(githubToken);
+    let remaining = remainingOf(quota);
+
+    const results = [];
+    for (const skill of skills) {
+      const topics = getGithubTopics(track, skill.name);
+      const cached = topics.length > 0 && githubService.isCountCached(githubService.buildTopicQuery(topics));
+
+      if (topics.length > 0 && !cached && remaining <= 0) {
+        const reset = quota?.reset ? ` until ${quota.reset}` : '';
+        results.push({ mapped: true, topics, repositories: null, error: `Not checked: GitHub search quota used up${reset}` });
+        continue;
+      }
+
+      const result = await check(skill);
+      results.push(result);
+
+      if (result.mapped && !cached) {
+        remaining--;
+        // A failed search may have hit the rate limit: ask again (/rate_limit costs no quota)
+        if (result.error) {
+          quota = await githubService.getQuota(githubToken);
+          remaining = Math.min(remaining, remainingOf(quota));
+        }
+      }
+    }
+    return results;
+  }
+}
+
+export default new TagReportService();
@@ -0,0 +1,134 @@
+/**
+ * Trend analysis for demand series (monthly or weekly periods)
+ * Period-over-period growth, a least-squares slope, a rising/stable/declining
+ * label and a linear forecast with a confidence band
+ */
+
+import { CONSTANTS } from '../config/constants.js';
+import { formatLocalDay, getFollowingPeriods, resolveWindow } from './demandWindow.js';
+
+/**
+ * Helper: Round to one decimal place
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Percentage change from one value to the next (null when undefined)
+ */
+export function getGrowth(previous, current) {
+  return previous > 0 ? round((current - previous) / previous * 100) : null;
+}
+
+/**
+ * Least-squares line through the values at x = xs (0, 1, 2, ... by default)
+ * Returns { slope, intercept, standardError, meanX, sumSquaresX }
+ */
+export function fitLine(values, xs = values.map((_, index) => index)) {
+  const n = values.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+
+  let sumSquaresX = 0;
+  let sumXY = 0;
+  values.forEach((value, index) => {
+    sumSquaresX += (xs[index] - meanX) ** 2;
+    sumXY += (xs[index] - meanX) * (value - meanY);
+  });
+
+  const slope = sumSquaresX > 0 ? sumXY / sumSquaresX : 0;
+  const intercept = meanY - slope * meanX;
+
+  // Residual standard error (needs at least three points)
+  const residuals = values.reduce((sum, value, index) => sum + (value - (intercept + slope * xs[index])) ** 2, 0);
+  const standardError = n > 2 ? Math.sqrt(residuals / (n - 2)) : 0;
+
+  return { slope, intercept, standardError, meanX, sumSquaresX };
+}
+
+/**
+ * Label a slope given as a percentage of the series mean per month
+ */
+export function labelTrend(slopePercent) {
+  const { RISING_SLOPE_PERCENT } = CONSTANTS.TRENDS;
+
+  if (slopePercent >= RISING_SLOPE_PERCENT) {
+    return CONSTANTS.TREND_LABELS.RISING;
+  } else if (slopePercent <= -RISING_SLOPE_PERCENT) {
+    return CONSTANTS.TREND_LABELS.DECLINING;
+  }
+  return CONSTANTS.TREND_LABELS.STABLE;
+}
+
+/**
+ * Analyze a demand series ([{ period, label, start, end, ... }])
+ * value picks the number to analyze from each period (the combined score by default).
+ * Periods that had not ended by asOf are incomplete, and periods some provider
+ * could not fetch (error: true) are understated, so both are left out of the
+ * fit and the growth figures; the forecast covers the three months after the
+ * last period in the series.
+ * slopePercent is per month whatever the granularity, so labels compare alike.
+ */
+export function analyzeTrend(periods, { value = d => d.combined || 0, asOf = new Date(), granularity } = {}) {
+  const { FORECAST_MONTHS, CONFIDENCE_Z, WEEKS_PER_MONTH } = CONSTANTS.TRENDS;
+  const periodGranularity = resolveWindow({ granularity }).granularity;
+  const weekly = periodGranularity === CONSTANTS.DEMAND_WINDOW.GRANULARITIES.WEEKLY;
+  const today = formatLocalDay(asOf);
+
+  const points = periods.map((d, x) => ({ ...d, x, value: value(d), usable: d.end < today && !d.error }));
+  const usable = points.filter(point => point.usable);
+
+  const growth = points.slice(1).map((point, index) => ({
+    period: point.period,
+    label: point.label,
+    growth: point.usable && !points[index].error ? getGrowth(points[index].value, point.value) : null
+  }));
+  const rates = growth.map(g => g.growth).filter(g => g !== null);
+
+  if (usable.length < 2) {
+    return {
+      label: CONSTANTS.TREND_LABELS.STABLE,
+      slope: 0,
+      slopePercent: 0,
+      growth,
+      averageGrowth: null,
+      forecast: [],
+      basedOnPeriods: usable.length
+    };
+  }
+
+  // Fit on the usable periods, keeping their positions in the series
+  const values = usable.map(point => point.value);
+  const { slope, intercept, standardError, meanX, sumSquaresX } = fitLine(values, usable.map(point => point.x));
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const slopePercent = mean > 0 ? round(slope / mean * 100 * (weekly ? WEEKS_PER_MONTH : 1)) : 0;
+
+  const forecastPeriods = weekly ? Math.round(FORECAST_MONTHS * WEEKS_PER_MONTH) : FORECAST_MONTHS;
+  const last = points[points.length - 1];
+  const forecast = getFollowingPeriods(last, periodGranularity, forecastPeriods).map((bucket, i) => {
+    const x = points.length + i;
+    const predicted = intercept + slope * x;
+
+    // Prediction interval of a new observation at x
+    const margin = CONFIDENCE_Z * standardError *
+      Math.sqrt(1 + 1 / values.length + (x - meanX) ** 2 / sumSquaresX);
+
+    return {
+      ...bucket,
+      value: Math.max(0, Math.round(predicted)),
+      lower: Math.max(0, Math.round(predicted - margin)),
+      upper: Math.max(0, Math.round(predicted + margin))
+    };
+  });
+
+  return {
+    label: labelTrend(slopePercent),
+    slope: round(slope),
+    slopePercent,
+    growth,
+    averageGrowth: rates.length > 0 ? round(rates.reduce((sum, g) => sum + g, 0) / rates.length) : null,
+    forecast,
+    basedOnPeriods: values.length
+  };
+}
@@ -3,25 +3,33 @@
  * Validates user skills against track roadmaps
  */
 
-import { getCoreSkills, getSkillWeight, isCoreSkill } from '../config/roadmaps.js';
-import { getLearningOrder, getSuggestedNext } from '../config/prerequisites.js';
-import githubService from './githubService.js';
-import stackoverflowService from './stackoverflowService.js';
+import { getCoreSkillsForLevel, getSkillWeight, isCoreSkill } from '../config/roadmaps.js';
+import { planLearningOrder, getSuggestedNext } from '../config/prerequisites.js';
+import demandProviders from './demandProviders.js';
+import snapshotService from './snapshotService.js';
+import requestBudget from './requestBudget.js';
+import skillNormalizer from './skillNormalizer.js';
+import { analyzeTrend } from './trendAnalysis.js';
+import { resolveWindow } from './demandWindow.js';
 import { CONSTANTS } from '../config/constants.js';
 
 class ValidationService {
   /**
    * Validate user skills against track
    */
-  async validateSkills(track, userSkills, options = {}) {
+  async validateSkills(track, rawUserSkills, options = {}) {
     const {
       githubToken = null,
       soKey = null,
-      sortBy = CONSTANTS.SORT_OPTIONS.IMPACT
+      sortBy = CONSTANTS.SORT_OPTIONS.IMPACT,
+      targetLevel = null
     } = options;
 
-    // Get core skills for track
-    const coreSkills = getCoreSkills(track);
+    // Map aliases ("ReactJS", "Postgres") to canonical skill names
+    const { skills: userSkills, remapped, unrecognized } = skillNormalizer.normalizeSkills(rawUserSkills);
+
+    // Get core skills for track (limited to the target seniority level, if any)
+    const coreSkills = getCoreSkillsForLevel(track, targetLevel);
     const coreSkillNames = coreSkills.map(s => s.name);
 
     // Separate user skills by proficiency
@@ -31,6 +39,9 @@ class ValidationService {
     // Find gaps
     const gaps = this.findGaps(track, allUserSkillNames, coreSkillNames);
 
+    // Find core skills held below the expected proficiency
+    const underProficient = this.findUnderProficient(coreSkills, userSkills);
+
     // Find strong proficiency core skills (for "Keep Sharp" section)
     const keepSharpSkills = this.findKeepSharpSkills(
       track,
@@ -38,28 +49,53 @@ class ValidationService {
       coreSkillNames
     );
 
+    // Fit the upstream calls into the remaining API quota (may shorten the window)
+    const trends = sortBy === CONSTANTS.SORT_OPTIONS.TRENDING;
+    const { window, skip, skipTrends, budget } = await requestBudget.plan(
+      gaps,
+      track,
+      { githubToken, soKey },
+      options.window,
+      { trends }
+    );
+
     // Fetch demand data for gaps
     const gapsWithEvidence = await this.addEvidenceToGaps(
       gaps,
       track,
-      githubToken,
-      soKey
+      { githubToken, soKey },
+      window,
+      skip
     );
 
+    // The trending sort needs each gap's demand trend
+    const gapsToSort = trends
+      ? await this.addTrendsToGaps(gapsWithEvidence, track, { githubToken, soKey }, window, skipTrends)
+      : gapsWithEvidence;
+
     // Sort gaps
-    const sortedGaps = this.sortGaps(gapsWithEvidence, sortBy);
+    const sortedGaps = this.sortGaps(gapsToSort, sortBy);
 
-    // Get learning order
-    const learningOrderSkills = getLearningOrder(
+    // Plan learning order (adds missing prerequisites, ties broken by weight and demand)
+    const learningPlan = planLearningOrder(
       track,
-      sortedGaps.map(g => g.skill)
+      sortedGaps.map(g => g.skill),
+      {
+        knownSkills: allUserSkillNames,
+        demand: Object.fromEntries(sortedGaps.map(g => [g.skill, g.evidence?.normalizedScore || 0]))
+      }
     );
 
+    if (learningPlan.cycles.length > 0) {
+      console.error(`[Validation] Prerequisite cycles in ${track}:`,
+        learningPlan.cycles.map(cycle => cycle.join(' -> ')).join('; '));
+    }
+
     // Get suggested next steps
     const suggestedNext = getSuggestedNext(
       track,
       allUserSkillNames,
-      learningOrderSkills,
+      learningPlan.steps.map(step => step.skill),
       3
     );
 
@@ -69,10 +105,18 @@ class ValidationService {
       userSkillCount: userSkills.length,
       gapCount: gaps.length,
       coveragePercent: ((1 - gaps.length / coreSkillNames.length) * 100).toFixed(1),
+      weightedCoveragePercent: this.calculateWeightedCoverage(coreSkills, userSkills),
       gaps: sortedGaps,
+      underProficient,
       keepSharp: keepSharpSkills,
-      learningOrder: learningOrderSkills,
+      learningOrder: learningPlan.steps,
+      learningOrderCycles: learningPlan.cycles,
       suggestedNext,
+      normalization: { remapped, unrecognized },
+      targetLevel,
+      window,
+      budget,
+      ...this.getDemandSnapshot(),
       sortedBy: sortBy,
       timestamp: new Date().toISOString(),
       roadmapVersion: CONSTANTS.ROADMAP_VERSION
@@ -110,6 +154,69 @@ class ValidationService {
       }));
   }
 
+  /**
+   * Rank a proficiency level (beginner < intermediate < strong)
+   */
+  proficiencyRank(proficiency) {
+    return Object.values(CONSTANTS.PROFICIENCY_LEVELS).indexOf(proficiency);
+  }
+
+  /**
+   * Find core skills the user has below the expected proficiency
+   */
+  findUnderProficient(coreSkills, userSkills) {
+    const userSkillMap = new Map(userSkills.map(s => [s.name.toLowerCase(), s]));
+
+    return coreSkills
+      .map(coreSkill => {
+        const userSkill = userSkillMap.get(coreSkill.name.toLowerCase());
+        const expectedProficiency = coreSkill.expectedProficiency || CONSTANTS.DEFAULT_EXPECTED_PROFICIENCY;
+
+        if (!userSkill ||
+            this.proficiencyRank(userSkill.proficiency) >= this.proficiencyRank(expectedProficiency)) {
+          return null;
+        }
+
+        return {
+          skill: coreSkill.name,
+          weight: coreSkill.weight,
+          proficiency: userSkill.proficiency,
+          expectedProficiency,
+          ...(coreSkill.section && { section: coreSkill.section })
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * Weighted coverage: each core skill counts by its weight, and skills held
+   * below the expected proficiency earn partial credit
+   */
+  calculateWeightedCoverage(coreSkills, userSkills) {
+    const userSkillMap = new Map(userSkills.map(s => [s.name.toLowerCase(), s]));
+    let earned = 0;
+    let total = 0;
+
+    coreSkills.forEach(coreSkill => {
+      total += coreSkill.weight;
+
+      const userSkill = userSkillMap.get(coreSkill.name.toLowerCase());
+      if (!userSkill) {
+        return;
+      }
+
+      const expectedProficiency = coreSkill.expectedProficiency || CONSTANTS.DEFAULT_EXPECTED_PROFICIENCY;
+      const credit = this.proficiencyRank(userSkill.proficiency) >= this.proficiencyRank(expectedProficiency)
+        ? 1
+        : CONSTANTS.PROFICIENCY_CREDIT[userSkill.proficiency] || 0;
+
+      earned += coreSkill.weight * credit;
+    });
+
+    return total > 0 ? ((earned / total) * 100).toFixed(1) : '0.0';
+  }
+
   /**
    * Find strong proficiency skills that are core (for Keep Sharp section)
    */
@@ -127,34 +234,27 @@ class ValidationService {
 
   /**
    * Add demand evidence to gaps
+   * Credentials are passed to the providers that need them (githubToken, soKey);
+   * skip lists the providers not to call per skill (see requestBudget.js)
    */
-  async addEvidenceToGaps(gaps, track, githubToken, soKey) {
+  async addEvidenceToGaps(gaps, track, credentials = {}, window = {}, skip = {}) {
     const gapsWithEvidence = await Promise.all(
       gaps.map(async (gap) => {
         try {
-          // Fetch GitHub and SO data in parallel
-          const [githubData, soData] = await Promise.all([
-            githubService.getSkillDemand(gap.skill, track, githubToken),
-            stackoverflowService.getSkillDemand(gap.skill, track, soKey)
-          ]);
-
-          const githubCount = githubData.data?.count || 0;
-          const soCount = soData.data?.count || 0;
-          const combinedScore = githubCount + (soCount * 0.5); // Weight SO less
+          // Query every enabled provider in parallel
+          const { sources, combinedScore } = await demandProviders.getSkillDemand(
+            gap.skill,
+            track,
+            credentials,
+            window,
+            { skip: skip[gap.skill] || [] }
+          );
 
           return {
             ...gap,
             evidence: {
-              github: {
-                count: githubCount,
-                error: githubData.data?.error || null
-              },
-              stackoverflow: {
-                count: soCount,
-                error: soData.data?.error || null
-              },
+              sources,
               combinedScore,
-              demandCategory: this.categorizeDemand(combinedScore),
               timestamp: new Date().toISOString()
             }
           };
@@ -163,10 +263,14 @@ class ValidationService {
           return {
             ...gap,
             evidence: {
-              github: { count: 0, error: error.message },
-              stackoverflow: { count: 0, error: error.message },
+              sources: demandProviders.getProviders().map(provider => ({
+                id: provider.id,
+                label: provider.label,
+                count: 0,
+                weight: provider.weight,
+                error: error.message
+              })),
               combinedScore: 0,
-              demandCategory: CONSTANTS.DEMAND_CATEGORIES.LOW,
               timestamp: new Date().toISOString()
             }
           };
@@ -174,11 +278,158 @@ class ValidationService {
       })
     );
 
-    return gapsWithEvidence;
+    return this.normalizeDemand(gapsWithEvidence);
+  }
+
+  /**
+   * Add a demand trend summary ({ label, slopePercent, averageGrowth }) to gaps
+   * Gaps whose trend cannot be fetched (or is in skip) get trend: null
+   */
+  async addTrendsToGaps(gaps, track, credentials = {}, window = {}, skip = []) {
+    return Promise.all(
+      gaps.map(async (gap) => {
+        if (skip.includes(gap.skill)) {
+          return { ...gap, trend: null };
+        }
+
+        try {
+          const { trend } = await this.getSkillTrends(gap.skill, track, credentials, window);
+          return {
+            ...gap,
+            trend: {
+              label: trend.label,
+              slopePercent: trend.slopePercent,
+              averageGrowth: trend.averageGrowth
+            }
+          };
+        } catch (error) {
+          return { ...gap, trend: null };
+        }
+      })
+    );
+  }
+
+  /**
+   * Normalize demand across the gaps of one roadmap
+   * Each provider's counts are log-scaled against the highest count in the
+   * track (0-100) and combined by the providers' normalized weights. Categories
+   * follow the percentile of that score among the track's gaps, so niche but
+   * essential skills are judged against their own roadmap, not raw volume.
+   * Small samples fall back to the fixed thresholds on the combined score.
+   */
+  normalizeDemand(gaps) {
+    const maxLogs = new Map();
+
+    gaps.forEach(gap => {
+      gap.evidence.sources.forEach(source => {
+        if (this.hasDemandData(source)) {
+          maxLogs.set(source.id, Math.max(maxLogs.get(source.id) || 0, Math.log10(1 + source.count)));
+        }
+      });
+    });
+
+    const scored = gaps.map(gap => {
+      let total = 0;
+      let weights = 0;
+
+      const sources = gap.evidence.sources.map(source => {
+        if (!this.hasDemandData(source)) {
+          return { ...source, normalizedScore: null };
+        }
+
+        const max = maxLogs.get(source.id);
+        const normalizedScore = max > 0 ? this.round(Math.log10(1 + source.count) / max * 100) : 0;
+        total += normalizedScore * source.normalizedWeight;
+        weights += source.normalizedWeight;
+        return { ...source, normalizedScore };
+      });
+
+      return {
+        ...gap,
+        evidence: {
+          ...gap.evidence,
+          sources,
+          normalizedScore: weights > 0 ? this.round(total / weights) : null
+        }
+      };
+    });
+
+    // Skills without any provider data are left out of the ranking
+    const scores = scored
+      .map(gap => gap.evidence.normalizedScore)
+      .filter(score => score !== null);
+    const usePercentiles = scores.length >= CONSTANTS.DEMAND_PERCENTILES.MIN_SAMPLE;
+
+    return scored.map(gap => {
+      const { normalizedScore, combinedScore } = gap.evidence;
+      const percentile = normalizedScore === null ? null : this.percentileRank(normalizedScore, scores);
+
+      let demandCategory = CONSTANTS.DEMAND_CATEGORIES.LOW;
+      if (percentile !== null) {
+        demandCategory = usePercentiles
+          ? this.categorizePercentile(percentile)
+          : this.categorizeDemand(combinedScore);
+      }
+
+      return {
+        ...gap,
+        evidence: {
+          ...gap.evidence,
+          percentile,
+          demandCategory,
+          categoryBasis: usePercentiles ? 'percentile' : 'threshold'
+        }
+      };
+    });
+  }
+
+  /**
+   * Whether a provider returned usable data for a skill
+   */
+  hasDemandData(source) {
+    return !source.error && source.applicable !== false;
+  }
+
+  /**
+   * Percentile rank of a value within a set (0-100, ties count half)
+   */
+  percentileRank(value, values) {
+    const below = values.filter(v => v < value).length;
+    const equal = values.filter(v => v === value).length;
+    return this.round(((below + equal / 2) / values.length) * 100);
+  }
+
+  /**
+   * Categorize demand by percentile within the track
+   */
+  categorizePercentile(percentile) {
+    if (percentile >= CONSTANTS.DEMAND_PERCENTILES.HIGH) {
+      return CONSTANTS.DEMAND_CATEGORIES.HIGH;
+    } else if (percentile >= CONSTANTS.DEMAND_PERCENTILES.MEDIUM) {
+      return CONSTANTS.DEMAND_CATEGORIES.MEDIUM;
+    } else {
+      return CONSTANTS.DEMAND_CATEGORIES.LOW;
+    }
+  }
+
+  /**
+   * Helper: Round to one decimal place
+   */
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  /**
+   * In offline mode, state which recorded snapshot the demand data comes from
+   */
+  getDemandSnapshot() {
+    return snapshotService.isOffline()
+      ? { demandSnapshot: snapshotService.getSnapshotInfo() }
+      : {};
   }
 
   /**
-   * Categorize demand into Low/Medium/High
+   * Categorize demand into Low/Medium/High by fixed thresholds on the combined score
    */
   categorizeDemand(combinedScore) {
     if (combinedScore >= CONSTANTS.DEMAND_THRESHOLDS.HIGH) {
@@ -200,7 +451,7 @@ class ValidationService {
 
       case CONSTANTS.SORT_OPTIONS.DEMAND:
         return [...gaps].sort((a, b) => 
-          b.evidence.combinedScore - a.evidence.combinedScore
+          (b.evidence.normalizedScore || 0) - (a.evidence.normalizedScore || 0)
         );
 
       case CONSTANTS.SORT_OPTIONS.LEARNING_ORDER:
@@ -210,42 +461,59 @@ class ValidationService {
       case CONSTANTS.SORT_OPTIONS.QUICK_WINS:
         // Quick wins: High demand, lower weight (easier to learn, high value)
         return [...gaps].sort((a, b) => {
-          const scoreA = a.evidence.combinedScore / (a.weight + 1);
-          const scoreB = b.evidence.combinedScore / (b.weight + 1);
+          const scoreA = (a.evidence.normalizedScore || 0) / (a.weight + 1);
+          const scoreB = (b.evidence.normalizedScore || 0) / (b.weight + 1);
           return scoreB - scoreA;
         });
 
+      case CONSTANTS.SORT_OPTIONS.TRENDING: {
+        // Rising before stable before declining (no trend last), then by slope
+        const rank = {
+          [CONSTANTS.TREND_LABELS.RISING]: 3,
+          [CONSTANTS.TREND_LABELS.STABLE]: 2,
+          [CONSTANTS.TREND_LABELS.DECLINING]: 1
+        };
+        return [...gaps].sort((a, b) =>
+          (rank[b.trend?.label] || 0) - (rank[a.trend?.label] || 0) ||
+          (b.trend?.slopePercent || 0) - (a.trend?.slopePercent || 0)
+        );
+      }
+
       default:
         return gaps;
     }
   }
 
   /**
-   * Get demand trends for a skill
+   * Get demand trends for a skill over a window (default: past 6 months, monthly)
+   * Each period lists the count per provider (sources) and the weighted combination;
+   * trend holds the growth, slope, label and forecast of the combined series
    */
-  async getSkillTrends(skillName, track, githubToken = null, soKey = null) {
+  async getSkillTrends(skillName, track, credentials = {}, window = {}) {
+    const { months, granularity } = resolveWindow(window);
+
     try {
-      const [githubTrend, soTrend] = await Promise.all([
-        githubService.getSkillDemandOverTime(skillName, track, githubToken),
-        stackoverflowService.getSkillDemandOverTime(skillName, track, soKey)
-      ]);
-
-      // Merge monthly data
-      const mergedData = githubTrend.data.monthlyData.map((githubMonth, index) => {
-        const soMonth = soTrend.data.monthlyData[index];
-        return {
-          month: githubMonth.month,
-          label: githubMonth.label,
-          github: githubMonth.count,
-          stackoverflow: soMonth?.count || 0,
-          combined: githubMonth.count + (soMonth?.count || 0) * 0.5
-        };
-      });
+      const { sources, periods } = await demandProviders.getSkillDemandOverTime(
+        skillName,
+        track,
+        credentials,
+        { months, granularity }
+      );
+
+      // A snapshot's last period was incomplete when it was recorded
+      const snapshot = this.getDemandSnapshot();
+      const asOf = snapshot.demandSnapshot?.recordedAt
+        ? new Date(snapshot.demandSnapshot.recordedAt)
+        : new Date();
 
       return {
         skill: skillName,
         track,
-        monthlyData: mergedData,
+        window: { months, granularity },
+        sources,
+        periods,
+        trend: analyzeTrend(periods, { asOf, granularity }),
+        ...snapshot,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -257,8 +525,10 @@ class ValidationService {
   /**
    * Validate for fullstack (returns separate frontend and backend sections)
    */
-  async validateFullstack(userSkills, options = {}) {
-    const coreSkills = getCoreSkills('fullstack');
+  async validateFullstack(rawUserSkills, options = {}) {
+    const targetLevel = options.targetLevel || null;
+    const coreSkills = getCoreSkillsForLevel('fullstack', targetLevel);
+    const { skills: userSkills, remapped, unrecognized } = skillNormalizer.normalizeSkills(rawUserSkills);
     
     // Separate gaps by section
     const frontendGaps = [];
@@ -288,23 +558,33 @@ class ValidationService {
       }
     });
 
-    // Add evidence to all gaps
+    // Fit the upstream calls into the remaining API quota (may shorten the window)
     const allGaps = [...frontendGaps, ...backendGaps, ...bothGaps];
-    const gapsWithEvidence = await this.addEvidenceToGaps(
+    const credentials = { githubToken: options.githubToken, soKey: options.soKey };
+    const trends = options.sortBy === CONSTANTS.SORT_OPTIONS.TRENDING;
+    const { window, skip, skipTrends, budget } = await requestBudget.plan(
       allGaps,
       'fullstack',
-      options.githubToken,
-      options.soKey
+      credentials,
+      options.window,
+      { trends }
     );
 
+    // Add evidence to all gaps
+    const gapsWithEvidence = await this.addEvidenceToGaps(allGaps, 'fullstack', credentials, window, skip);
+
+    const gapsToSort = trends
+      ? await this.addTrendsToGaps(gapsWithEvidence, 'fullstack', credentials, window, skipTrends)
+      : gapsWithEvidence;
+
     // Separate back into sections
-    const frontendWithEvidence = gapsWithEvidence.filter(g => 
+    const frontendWithEvidence = gapsToSort.filter(g => 
       frontendGaps.some(fg => fg.skill === g.skill)
     );
-    const backendWithEvidence = gapsWithEvidence.filter(g => 
+    const backendWithEvidence = gapsToSort.filter(g => 
       backendGaps.some(bg => bg.skill === g.skill)
     );
-    const bothWithEvidence = gapsWithEvidence.filter(g => 
+    const bothWithEvidence = gapsToSort.filter(g => 
       bothGaps.some(bg => bg.skill === g.skill)
     );
 
@@ -314,6 +594,8 @@ class ValidationService {
       userSkillCount: userSkills.length,
       gapCount: allGaps.length,
       coveragePercent: ((1 - allGaps.length / coreSkills.length) * 100).toFixed(1),
+      weightedCoveragePercent: this.calculateWeightedCoverage(coreSkills, userSkills),
+      underProficient: this.findUnderProficient(coreSkills, userSkills),
       sections: {
         frontend: {
           gaps: this.sortGaps(frontendWithEvidence, options.sortBy || CONSTANTS.SORT_OPTIONS.IMPACT),
@@ -328,6 +610,11 @@ class ValidationService {
           count: bothWithEvidence.length
         }
       },
+      normalization: { remapped, unrecognized },
+      targetLevel,
+      window,
+      budget,
+      ...this.getDemandSnapshot(),
       timestamp: new Date().toISOString(),
       roadmapVersion: CONSTANTS.ROADMAP_VERSION
     };
@@ -5,8 +5,8 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { getCoreSkills, getSkillWeight, isCoreSkill } from '../src/config/roadmaps.js';
-import { getPrerequisites, getLearningOrder } from '../src/config/prerequisites.js';
+import { getCoreSkills, getSkillWeight, isCoreSkill, getTrackIds, isValidTrack } from '../src/config/roadmaps.js';
+import { getPrerequisites, getLearningOrder, planLearningOrder, PREREQUISITES } from '../src/config/prerequisites.js';
 
 describe('Roadmaps Configuration', () => {
     it('should return core skills for frontend track', () => {
@@ -32,6 +32,14 @@ describe('Roadmaps Configuration', () => {
             getCoreSkills('invalidtrack');
         });
     });
+
+    it('should list tracks from the roadmap registry in display order', () => {
+        assert.deepStrictEqual(getTrackIds(), [
+            'frontend', 'backend', 'fullstack', 'devops', 'mobile', 'data-engineering', 'qa'
+        ]);
+        assert.strictEqual(isValidTrack('devops'), true);
+        assert.strictEqual(isValidTrack('constructor'), false);
+    });
 });
 
 describe('Prerequisites', () => {
@@ -58,6 +66,40 @@ describe('Prerequisites', () => {
         assert.ok(htmlIndex < reactIndex);
         assert.ok(jsIndex < reactIndex);
     });
+
+    it('should add missing transitive prerequisites to the plan', () => {
+        const { steps } = planLearningOrder('frontend', ['Fetch API'], { knownSkills: ['HTML', 'JavaScript'] });
+        const skills = steps.map(s => s.skill);
+
+        assert.deepStrictEqual(skills, ['ES6+', 'Promises', 'Async/Await', 'Fetch API']);
+        assert.strictEqual(steps[0].addedAsPrerequisite, true);
+        assert.strictEqual(steps[3].addedAsPrerequisite, false);
+        assert.deepStrictEqual(steps[3].unlockedBy, [
+            { step: 2, skill: 'Promises' },
+            { step: 3, skill: 'Async/Await' }
+        ]);
+    });
+
+    it('should break ties by weight, then demand, then name', () => {
+        const { steps } = planLearningOrder('frontend', ['Vite', 'Webpack', 'Babel'], {
+            expand: false,
+            weights: { Vite: 5, Webpack: 5, Babel: 7 },
+            demand: { Vite: 90, Webpack: 10 }
+        });
+        assert.deepStrictEqual(steps.map(s => s.skill), ['Babel', 'Vite', 'Webpack']);
+    });
+
+    it('should report prerequisite cycles explicitly', () => {
+        PREREQUISITES.cyclic = { A: ['B'], B: ['A'], C: [] };
+        try {
+            const { steps, cycles } = planLearningOrder('cyclic', ['A', 'B', 'C']);
+            assert.deepStrictEqual(steps.map(s => s.skill), ['C', 'A', 'B']);
+            assert.deepStrictEqual(steps.map(s => s.inCycle), [false, true, true]);
+            assert.strictEqual(cycles.length, 1);
+        } finally {
+            delete PREREQUISITES.cyclic;
+        }
+    });
 });
 
 describe('Cache Service', () => {
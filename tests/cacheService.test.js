@@ -0,0 +1,176 @@
+/**
+ * Tests for CacheService (coalescing, stale-while-revalidate, negative caching, namespaces)
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CacheService } from '../src/services/cacheService.js';
+import { MemoryCacheStore } from '../src/services/cacheStores.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error shaped like an axios error for an HTTP status
+ */
+function upstreamError(status) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        isAxiosError: true,
+        response: { status }
+    });
+}
+
+describe('Cache getOrSet', () => {
+    let cache;
+    let calls;
+
+    const fetchValue = value => async () => {
+        calls++;
+        await wait(5);
+        return value;
+    };
+
+    beforeEach(() => {
+        cache = new CacheService(new MemoryCacheStore());
+        calls = 0;
+    });
+
+    it('should share one fetch between concurrent calls', async () => {
+        const results = await Promise.all([
+            cache.getOrSet('key', fetchValue('a')),
+            cache.getOrSet('key', fetchValue('b'))
+        ]);
+
+        assert.strictEqual(calls, 1);
+        assert.deepStrictEqual(results.map(r => [r.data, r.cacheStatus]), [['a', 'refreshed'], ['a', 'refreshed']]);
+        assert.strictEqual(cache.getStats().inFlight, 0);
+
+        const cached = await cache.getOrSet('key', fetchValue('c'));
+        assert.deepStrictEqual(cached, { data: 'a', fromCache: true, cacheStatus: 'fresh' });
+    });
+
+    it('should serve stale values while refreshing in the background', async () => {
+        cache.set('key', 'old', 10);
+        await wait(20);
+        assert.strictEqual(cache.get('key'), null);
+        assert.strictEqual(cache.getStats().staleEntries, 1);
+
+        const stale = await cache.getOrSet('key', fetchValue('new'));
+        assert.deepStrictEqual(stale, { data: 'old', fromCache: true, cacheStatus: 'stale' });
+
+        // A second request joins the refresh instead of starting another
+        await cache.getOrSet('key', fetchValue('other'));
+        await wait(20);
+
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(cache.get('key'), 'new');
+    });
+
+    it('should wait for the refresh without a stale window', async () => {
+        cache.staleTTL = 0;
+        cache.set('key', 'old', 10);
+        await wait(20);
+
+        const result = await cache.getOrSet('key', fetchValue('new'));
+        assert.deepStrictEqual(result, { data: 'new', fromCache: false, cacheStatus: 'refreshed' });
+    });
+
+    it('should remember upstream failures for the error TTL', async () => {
+        const failing = async () => {
+            calls++;
+            throw upstreamError(502);
+        };
+
+        await assert.rejects(cache.getOrSet('key', failing), /status code 502/);
+        await assert.rejects(cache.getOrSet('key', failing), error => error.fromCache && error.response.status === 502);
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(cache.getStats().errorEntries, 1);
+
+        cache.errorTTL = 0;
+        cache.setError('key', upstreamError(502));
+        await wait(5);
+        assert.strictEqual((await cache.getOrSet('key', fetchValue('ok'))).data, 'ok');
+    });
+
+    it('should not cache failures that depend on credentials', async () => {
+        const failing = async () => {
+            calls++;
+            throw upstreamError(403);
+        };
+
+        await assert.rejects(cache.getOrSet('key', failing));
+        await assert.rejects(cache.getOrSet('key', failing));
+        assert.strictEqual(calls, 2);
+        assert.strictEqual(cache.isCacheableError(new Error('mapped')), false);
+    });
+
+    it('should keep the stale value when the background refresh fails', async () => {
+        cache.set('key', 'old', 10);
+        await wait(20);
+
+        const failing = async () => {
+            calls++;
+            throw upstreamError(500);
+        };
+
+        assert.strictEqual((await cache.getOrSet('key', failing)).cacheStatus, 'stale');
+        await wait(5);
+
+        // Not retried until the error TTL has passed
+        assert.strictEqual((await cache.getOrSet('key', failing)).data, 'old');
+        assert.strictEqual(calls, 1);
+    });
+});
+
+describe('Cache namespaces', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new CacheService(new MemoryCacheStore());
+    });
+
+    it('should use per-namespace TTLs', () => {
+        cache.namespaceTTLs = cache.parseNamespaceTTLs('npm=6, github:search=8, github:demand=100, broken');
+
+        assert.strictEqual(cache.getTTL('github:search:query:react'), 8 * 3600000);
+        assert.strictEqual(cache.getTTL('github:demand-trend:skill:React'), 24 * 3600000);
+        assert.strictEqual(cache.getTTL('npm:downloads:package:react'), 6 * 3600000);
+        assert.strictEqual(cache.getTTL('github:demand:skill:React'), cache.defaultTTL);
+    });
+
+    it('should keep the default TTL in the same range as namespace TTLs', () => {
+        assert.strictEqual(cache.parseDefaultTTL('8'), 8 * 3600000);
+        assert.strictEqual(cache.parseDefaultTTL('48'), 12 * 3600000);
+        assert.strictEqual(cache.parseDefaultTTL('1'), 12 * 3600000);
+        assert.strictEqual(cache.parseDefaultTTL(undefined), 12 * 3600000);
+    });
+
+    it('should tag entries cached while fetching a skill with that skill', async () => {
+        const demandKey = cache.generateKey('github:demand', { skill: 'TypeScript', track: 'frontend' });
+        const searchKey = cache.generateKey('github:search', { query: 'topic:typescript', perPage: 1 });
+
+        await cache.getOrSet(demandKey, async () => {
+            const search = await cache.getOrSet(searchKey, async () => ({ totalCount: 5 }));
+            return { count: search.data.totalCount };
+        });
+        cache.set('github:search:query:unrelated', { totalCount: 1 });
+
+        assert.deepStrictEqual(
+            cache.listKeys({ skill: 'typescript' }).map(entry => [entry.namespace, entry.skill, entry.status]).sort(),
+            [['github:demand', 'TypeScript', 'fresh'], ['github:search', 'TypeScript', 'fresh']]
+        );
+
+        assert.strictEqual(cache.invalidate({ skill: 'TypeScript' }), 2);
+        assert.deepStrictEqual(cache.listKeys().map(entry => entry.key), ['github:search:query:unrelated']);
+    });
+
+    it('should invalidate a namespace or a whole service', () => {
+        cache.set('github:search:query:a', 1);
+        cache.set('github:demand-trend:skill:A', 2);
+        cache.set('stackoverflow:search:tags:a', 3);
+
+        assert.strictEqual(cache.invalidate({ namespace: 'github:search' }), 1);
+        assert.strictEqual(cache.invalidate({ namespace: 'github' }), 1);
+        assert.deepStrictEqual(cache.getStats().namespaces, { 'stackoverflow:search': { entries: 1, ttlHours: cache.defaultTTL / 3600000 } });
+    });
+});
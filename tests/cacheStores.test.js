@@ -0,0 +1,121 @@
+/**
+ * Tests for the cache stores
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CacheService } from '../src/services/cacheService.js';
+import { FileCacheStore, MemoryCacheStore, createCacheStore } from '../src/services/cacheStores.js';
+
+describe('Cache Stores', () => {
+    let dir;
+    let file;
+    let stores;
+
+    const open = (options) => {
+        const store = new FileCacheStore(file, options);
+        stores.push(store);
+        return store;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+        file = path.join(dir, 'nested', 'cache.json');
+        stores = [];
+    });
+
+    afterEach(() => {
+        stores.forEach(store => store.close());
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should pick the store from its name', () => {
+        assert.ok(createCacheStore() instanceof MemoryCacheStore);
+        const store = createCacheStore('file', { file });
+        stores.push(store);
+        assert.ok(store instanceof FileCacheStore);
+        assert.strictEqual(createCacheStore('redis').type, 'memory');
+    });
+
+    it('should keep entries across restarts', () => {
+        const cache = new CacheService(open());
+        cache.set('github:skill:react', { count: 42 });
+        cache.store.flush();
+
+        const restarted = new CacheService(open());
+        assert.deepStrictEqual(restarted.get('github:skill:react'), { count: 42 });
+        assert.strictEqual(restarted.getStats().store, 'file');
+    });
+
+    it('should drop entries that expired while stopped', () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            version: 1,
+            entries: [
+                ['old', { value: 1, expiry: Date.now() - 1000, createdAt: Date.now() - 5000 }],
+                ['new', { value: 2, expiry: Date.now() + 60000, createdAt: Date.now() }]
+            ]
+        }));
+
+        const store = open();
+        assert.deepStrictEqual(Array.from(store.keys()), ['new']);
+    });
+
+    it('should read the file on first access only', () => {
+        const store = open();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ version: 1, entries: [['a', { value: 1, expiry: Date.now() + 60000 }]] }));
+
+        assert.strictEqual(store.get('a').value, 1);
+
+        fs.writeFileSync(file, JSON.stringify({ version: 1, entries: [] }));
+        assert.strictEqual(store.size, 1);
+    });
+
+    it('should evict the least recently used entry at max size', () => {
+        const cache = new CacheService(open());
+        cache.maxSize = 2;
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        assert.deepStrictEqual(Array.from(cache.store.keys()), ['a', 'c']);
+    });
+
+    it('should not rewrite the file on reads', () => {
+        const cache = new CacheService(open());
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.store.flush();
+
+        cache.get('a');
+        assert.strictEqual(cache.store.dirty, false);
+        assert.deepStrictEqual(Array.from(cache.store.keys()), ['b', 'a']);
+    });
+
+    it('should start empty when the file is unreadable', () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '{ not json');
+
+        const cache = new CacheService(open());
+        assert.strictEqual(cache.get('a'), null);
+
+        cache.set('a', 'value');
+        cache.store.flush();
+        assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).entries[0][0], 'a');
+    });
+
+    it('should write changes after the flush delay', async () => {
+        const store = open({ flushDelayMs: 10 });
+        store.set('a', { value: 1, expiry: Date.now() + 60000, createdAt: Date.now() });
+        assert.strictEqual(fs.existsSync(file), false);
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(open().get('a').value, 1);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the cache warm-up scheduler
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { DemandProviderRegistry } from '../src/services/demandProviders.js';
+import { RequestBudgetPlanner } from '../src/services/requestBudget.js';
+import { CacheWarmupScheduler } from '../src/services/cacheWarmup.js';
+import { ROADMAPS, getCoreSkills } from '../src/config/roadmaps.js';
+
+const skillCount = Object.keys(ROADMAPS).reduce((sum, track) => sum + getCoreSkills(track).length, 0);
+
+/**
+ * Provider that records its lookups; quotas are answered in turn (the last one repeats)
+ */
+function recordingProvider(id, { quotas = [{ remaining: 1000 }], cached = false } = {}) {
+    const provider = {
+        id,
+        label: id.toUpperCase(),
+        weight: 1,
+        demandCalls: [],
+        trendCalls: 0,
+        getSkillDemand: async (skill) => {
+            provider.demandCalls.push(skill);
+            return { count: 1 };
+        },
+        getSkillDemandOverTime: async () => {
+            provider.trendCalls++;
+            return { periods: [] };
+        },
+        estimateCalls: () => ({ demand: cached ? 0 : 1, trends: cached ? 0 : 6 }),
+        getQuota: async () => (quotas.length > 1 ? quotas.shift() : quotas[0])
+    };
+    return provider;
+}
+
+function scheduler(...providers) {
+    const registry = new DemandProviderRegistry();
+    providers.forEach(provider => registry.register(provider));
+
+    const warmup = new CacheWarmupScheduler(registry, new RequestBudgetPlanner(registry));
+    warmup.sleeps = [];
+    warmup.sleep = async (ms) => {
+        warmup.sleeps.push(ms);
+    };
+    return warmup;
+}
+
+describe('Cache Warm-up', () => {
+    it('should warm every skill of every track, one at a time', async () => {
+        const provider = recordingProvider('a');
+        const warmup = scheduler(provider);
+
+        const summary = await warmup.run();
+
+        assert.strictEqual(summary.total, skillCount);
+        assert.strictEqual(summary.warmed, skillCount);
+        assert.strictEqual(provider.demandCalls.length, skillCount);
+        assert.strictEqual(provider.trendCalls, skillCount);
+        assert.strictEqual(warmup.sleeps.length, skillCount - 1);
+        assert.deepStrictEqual(summary.window, { months: 6, granularity: 'monthly' });
+
+        const status = warmup.getStatus();
+        assert.strictEqual(status.running, false);
+        assert.strictEqual(status.lastRun, summary);
+    });
+
+    it('should not wait after skills that are cached', async () => {
+        const provider = recordingProvider('a', { cached: true });
+        provider.getQuota = async () => assert.fail('quota checked');
+        const warmup = scheduler(provider);
+
+        const summary = await warmup.run();
+
+        assert.strictEqual(summary.cached, skillCount);
+        assert.strictEqual(warmup.sleeps.length, 0);
+    });
+
+    it('should skip a provider that would dip into the reserve', async () => {
+        const low = recordingProvider('low', { quotas: [{ remaining: 8 }] });
+        const other = recordingProvider('other');
+        const warmup = scheduler(low, other);
+
+        const outcome = await warmup.warmSkill('SQL', 'backend', { months: 6, granularity: 'monthly' });
+
+        assert.deepStrictEqual(outcome, { status: 'deferred', errors: [] });
+        assert.deepStrictEqual(low.demandCalls, []);
+        assert.deepStrictEqual(other.demandCalls, ['SQL']);
+        // A trend needs every provider's series
+        assert.strictEqual(other.trendCalls, 0);
+    });
+
+    it('should wait for a quota that resets soon', async () => {
+        const provider = recordingProvider('a', {
+            quotas: [{ remaining: 0, reset: new Date(Date.now() + 5000).toISOString() }, { remaining: 30 }]
+        });
+        const warmup = scheduler(provider);
+
+        const outcome = await warmup.warmSkill('SQL', 'backend', { months: 6, granularity: 'monthly' });
+
+        assert.strictEqual(outcome.status, 'warmed');
+        assert.strictEqual(warmup.sleeps.length, 1);
+        assert.ok(warmup.sleeps[0] > 4000 && warmup.sleeps[0] <= 6000);
+    });
+
+    it('should not start a second run while one is in progress', async () => {
+        const warmup = scheduler(recordingProvider('a'));
+
+        const [first, second] = await Promise.all([warmup.run(), warmup.run()]);
+
+        assert.strictEqual(first.warmed, skillCount);
+        assert.strictEqual(second, null);
+    });
+});
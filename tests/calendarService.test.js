@@ -0,0 +1,65 @@
+/**
+ * Tests for iCalendar export
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import calendarService from '../src/services/calendarService.js';
+
+const results = {
+    track: 'frontend',
+    learningOrder: [
+        { step: 1, skill: 'Promises', unlockedBy: [] },
+        { step: 2, skill: 'Async/Await', unlockedBy: [{ step: 1, skill: 'Promises' }] }
+    ]
+};
+
+/**
+ * Unfold content lines and split them (RFC 5545 section 3.1)
+ */
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('Calendar Service', () => {
+    it('should create one all-day event per scheduled skill', () => {
+        const ics = calendarService.generateCalendar(results, {
+            hoursPerWeek: 10,
+            startDate: '2026-03-02',
+            userSkills: [{ name: 'JavaScript', proficiency: 'strong' }]
+        });
+        const lines = unfold(ics);
+
+        assert.ok(ics.endsWith('\r\n'));
+        assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+        assert.strictEqual(lines.filter(l => l === 'BEGIN:VEVENT').length, 2);
+        assert.ok(lines.includes('SUMMARY:Learn Async/Await'));
+        // Promises: 10h in week 1; Async/Await: 8h in week 2 (DTEND is exclusive)
+        assert.ok(lines.includes('DTSTART;VALUE=DATE:20260309'));
+        assert.ok(lines.includes('DTEND;VALUE=DATE:20260316'));
+
+        const description = lines.find(l => l.startsWith('DESCRIPTION:') && l.includes('Step 2'));
+        assert.ok(description.includes('Prerequisites met'));
+        assert.ok(description.includes('Unlocked by: step 1 (Promises)'));
+    });
+
+    it('should export tasks when asked', () => {
+        const ics = calendarService.generateCalendar(results, { itemType: 'task', startDate: '2026-03-02' });
+        const lines = unfold(ics);
+
+        assert.strictEqual(lines.filter(l => l === 'BEGIN:VTODO').length, 2);
+        assert.ok(lines.includes('DUE;VALUE=DATE:20260309'));
+        assert.ok(!lines.includes('BEGIN:VEVENT'));
+    });
+
+    it('should escape text and fold long lines to 75 octets', () => {
+        assert.strictEqual(calendarService.escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+
+        const folded = calendarService.foldLine(`DESCRIPTION:${'é'.repeat(100)}`);
+        folded.split('\r\n').forEach(line => {
+            assert.ok(Buffer.byteLength(line) <= 75);
+        });
+        assert.strictEqual(folded.replace(/\r\n /g, ''), `DESCRIPTION:${'é'.repeat(100)}`);
+    });
+});
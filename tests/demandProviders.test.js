@@ -0,0 +1,141 @@
+/**
+ * Tests for the demand evidence provider registry
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import demandProviders, { DemandProviderRegistry } from '../src/services/demandProviders.js';
+import { analyzeTrend } from '../src/services/trendAnalysis.js';
+import { CacheService } from '../src/services/cacheService.js';
+import { MemoryCacheStore } from '../src/services/cacheStores.js';
+import { partialSeriesError } from '../src/services/demandWindow.js';
+
+const months = [
+    { period: '2026-01', label: 'Jan 2026', start: '2026-01-01', end: '2026-01-31' },
+    { period: '2026-02', label: 'Feb 2026', start: '2026-02-01', end: '2026-02-28' }
+];
+
+function fakeProvider(id, weight, counts, extra = {}) {
+    return {
+        id,
+        label: id.toUpperCase(),
+        weight,
+        getSkillDemand: async () => ({ data: { count: counts[0] }, fromCache: true, cacheStatus: 'stale' }),
+        getSkillDemandOverTime: async () => ({
+            data: { periods: months.map((m, i) => ({ ...m, count: counts[i] })) },
+            fromCache: false,
+            cacheStatus: 'refreshed'
+        }),
+        ...extra
+    };
+}
+
+describe('Demand Providers', () => {
+    it('should register GitHub, Stack Overflow and npm by default', () => {
+        assert.deepStrictEqual(
+            demandProviders.describeProviders().map(p => [p.id, p.weight]),
+            [['github', 1], ['stackoverflow', 0.5], ['npm', 0.0001]]
+        );
+    });
+
+    it('should combine weighted counts and report provider errors', async () => {
+        const registry = new DemandProviderRegistry()
+            .register(fakeProvider('a', 1, [100, 200]))
+            .register(fakeProvider('b', 0.5, [40, 60], {
+                credential: 'bKey',
+                getSkillDemand: async (skill, track, key) => {
+                    assert.strictEqual(key, 'secret');
+                    throw new Error('quota exceeded');
+                }
+            }));
+
+        const demand = await registry.getSkillDemand('React', 'frontend', { bKey: 'secret' });
+        assert.strictEqual(demand.combinedScore, 100);
+        assert.strictEqual(demand.sources[0].cacheStatus, 'stale');
+        assert.deepStrictEqual(demand.sources[1], {
+            id: 'b', label: 'B', count: 0, weight: 0.5, normalizedWeight: 1, applicable: true, error: 'quota exceeded', cacheStatus: null
+        });
+
+        const trend = await registry.getSkillDemandOverTime('React', 'frontend');
+        assert.deepStrictEqual(trend.periods[1], {
+            ...months[1], sources: { a: 200, b: 60 }, combined: 230, error: false, failedSources: []
+        });
+        assert.deepStrictEqual(trend.sources.map(source => source.cacheStatus), ['refreshed', 'refreshed']);
+    });
+
+    it('should enable and re-weight providers from configuration', async () => {
+        const registry = new DemandProviderRegistry()
+            .register(fakeProvider('a', 1, [100]))
+            .register(fakeProvider('b', 0.5, [40]))
+            .register(fakeProvider('c', 1, [10], { enabledByDefault: false }));
+
+        assert.deepStrictEqual(registry.getProviders().map(p => p.id), ['a', 'b']);
+
+        registry.configure('b:2, c, missing');
+        assert.deepStrictEqual(registry.getProviders().map(p => [p.id, p.weight]), [['b', 2], ['c', 1]]);
+        assert.strictEqual((await registry.getSkillDemand('React', 'frontend')).combinedScore, 90);
+
+        assert.throws(() => registry.register({ id: 'd', weight: 1 }), /must implement getSkillDemand/);
+    });
+
+    it('should mark periods a provider failed to fetch and leave them out of the trend', async () => {
+        const steady = [
+            { period: '2026-01', label: 'Jan 2026', start: '2026-01-01', end: '2026-01-31' },
+            { period: '2026-02', label: 'Feb 2026', start: '2026-02-01', end: '2026-02-28' },
+            { period: '2026-03', label: 'Mar 2026', start: '2026-03-01', end: '2026-03-31' },
+            { period: '2026-04', label: 'Apr 2026', start: '2026-04-01', end: '2026-04-30' }
+        ];
+        const registry = new DemandProviderRegistry()
+            .register(fakeProvider('a', 1, [100, 100, 100, 100], {
+                getSkillDemandOverTime: async () => ({
+                    data: { periods: steady.map((m, i) => (i === 3 ? { ...m, count: 0, error: true } : { ...m, count: 100 })) }
+                })
+            }))
+            .register(fakeProvider('b', 1, [], {
+                getSkillDemandOverTime: async () => ({ data: { periods: steady.map(m => ({ ...m, count: 100 })) } })
+            }));
+
+        const trend = await registry.getSkillDemandOverTime('React', 'frontend');
+        const last = trend.periods[3];
+        assert.deepStrictEqual([last.combined, last.error, last.failedSources], [100, true, ['a']]);
+
+        const analysis = analyzeTrend(trend.periods, { asOf: new Date(2026, 5, 1) });
+        assert.strictEqual(analysis.label, 'stable');
+        assert.strictEqual(analysis.basedOnPeriods, 3);
+        assert.strictEqual(analysis.growth[2].growth, null);
+        assert.ok(analysis.forecast.every(point => point.value === 200));
+    });
+
+    it('should mark every period of a provider whose cached failure is served', async () => {
+        const cache = new CacheService(new MemoryCacheStore());
+        let fetches = 0;
+        const registry = new DemandProviderRegistry()
+            .register(fakeProvider('a', 1, [], {
+                // Like the services: a partial series is used once, then cached as an error
+                getSkillDemandOverTime: async () => {
+                    try {
+                        return await cache.getOrSet('a:demand-trend:skill:React', async () => {
+                            fetches++;
+                            throw partialSeriesError({ periods: [{ ...months[0], count: 100 }, { ...months[1], count: 0, error: true }] });
+                        });
+                    } catch (error) {
+                        if (error.partial) {
+                            return { data: error.partial, fromCache: false, cacheStatus: 'refreshed' };
+                        }
+                        throw error;
+                    }
+                }
+            }))
+            .register(fakeProvider('b', 1, [100, 100]));
+
+        const first = await registry.getSkillDemandOverTime('React', 'frontend');
+        assert.deepStrictEqual(first.periods.map(p => p.error), [false, true]);
+
+        const second = await registry.getSkillDemandOverTime('React', 'frontend');
+        assert.strictEqual(fetches, 1);
+        assert.match(second.sources[0].error, /1 of 2 periods/);
+        assert.deepStrictEqual(second.periods.map(p => [p.error, p.failedSources]), [[true, ['a']], [true, ['a']]]);
+        assert.strictEqual(analyzeTrend(second.periods, { asOf: new Date(2026, 5, 1) }).basedOnPeriods, 0);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for demand window buckets
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    getPeriodBuckets,
+    getFollowingPeriods,
+    validateWindow,
+    resolveWindow
+} from '../src/services/demandWindow.js';
+
+const now = new Date(2026, 9, 19);
+
+describe('Demand Window', () => {
+    it('should default to six monthly periods', () => {
+        assert.deepStrictEqual(resolveWindow(), { months: 6, granularity: 'monthly' });
+        assert.deepStrictEqual(resolveWindow({ months: '12' }), { months: 12, granularity: 'monthly' });
+    });
+
+    it('should only accept the supported windows and granularities', () => {
+        assert.strictEqual(validateWindow({}), null);
+        assert.strictEqual(validateWindow({ months: '24', granularity: 'weekly' }), null);
+        assert.match(validateWindow({ months: 5 }), /3, 6, 12, 24/);
+        assert.match(validateWindow({ granularity: 'daily' }), /weekly, monthly/);
+    });
+
+    it('should cover the current month and the months before it', () => {
+        const months = getPeriodBuckets({ months: 3 }, now);
+
+        assert.deepStrictEqual(months.map(m => [m.period, m.start, m.end]), [
+            ['2026-08', '2026-08-01', '2026-08-31'],
+            ['2026-09', '2026-09-01', '2026-09-30'],
+            ['2026-10', '2026-10-01', '2026-10-31']
+        ]);
+        assert.strictEqual(getPeriodBuckets({ months: 24 }, now)[0].period, '2024-11');
+    });
+
+    it('should split a window into Monday-based weeks up to the current week', () => {
+        const weeks = getPeriodBuckets({ months: 3, granularity: 'weekly' }, now);
+
+        // Aug 1, 2026 is a Saturday; Oct 19, 2026 is a Monday
+        assert.deepStrictEqual([weeks[0].start, weeks[0].end], ['2026-07-27', '2026-08-02']);
+        assert.strictEqual(weeks[weeks.length - 1].period, '2026-10-19');
+        assert.strictEqual(weeks.length, 13);
+    });
+
+    it('should list the periods after a bucket', () => {
+        const [last] = getPeriodBuckets({ months: 3 }, now).slice(-1);
+        assert.deepStrictEqual(getFollowingPeriods(last, 'monthly', 3).map(m => m.period), ['2026-11', '2026-12', '2027-01']);
+
+        const week = { period: '2026-12-28', start: '2026-12-28', end: '2027-01-03' };
+        assert.deepStrictEqual(getFollowingPeriods(week, 'weekly', 1)[0].start, '2027-01-04');
+    });
+});
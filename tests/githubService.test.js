@@ -0,0 +1,118 @@
+/**
+ * Tests for the GitHub GraphQL backend
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import githubService from '../src/services/githubService.js';
+import cacheService from '../src/services/cacheService.js';
+
+describe('GitHub GraphQL Backend', () => {
+    const originalPost = githubService.http.post;
+    const originalToken = githubService.token;
+    let requests;
+
+    before(() => {
+        githubService.setApiMode('graphql');
+        githubService.token = null;
+    });
+
+    after(() => {
+        githubService.setApiMode(process.env.GITHUB_API_MODE === 'graphql' ? 'graphql' : 'rest');
+        githubService.token = originalToken;
+        githubService.http.post = originalPost;
+    });
+
+    beforeEach(() => {
+        cacheService.clear();
+        requests = [];
+
+        // Answer every alias with the length of its query
+        githubService.http.post = async (url, body) => {
+            requests.push(body);
+            return {
+                data: {
+                    data: Object.fromEntries(Object.entries(body.variables).map(([alias, query]) => [
+                        alias, { repositoryCount: query.length }
+                    ]))
+                }
+            };
+        };
+    });
+
+    it('should use REST without a token', () => {
+        assert.strictEqual(githubService.getApiMode(), 'rest');
+        assert.strictEqual(githubService.getApiMode('token'), 'graphql');
+    });
+
+    it('should batch counts requested together into one request', async () => {
+        const counts = await Promise.all(
+            ['a', 'bb', 'ccc'].map(query => githubService.countRepositories(query, 'token'))
+        );
+
+        assert.deepStrictEqual(counts, [1, 2, 3]);
+        assert.strictEqual(requests.length, 1);
+        assert.deepStrictEqual(requests[0].variables, { q0: 'a', q1: 'bb', q2: 'ccc' });
+        assert.match(requests[0].query, /q2: search\(query: \$q2, type: REPOSITORY, first: 1\) \{ repositoryCount \}/);
+    });
+
+    it('should split large batches', async () => {
+        await Promise.all(
+            Array.from({ length: 45 }, (_, i) => githubService.countRepositories(`query ${i}`, 'token'))
+        );
+
+        assert.deepStrictEqual(requests.map(r => Object.keys(r.variables).length), [20, 20, 5]);
+    });
+
+    it('should fetch every period of a trend in one request', async () => {
+        const trend = await githubService.getSkillDemandOverTime('React', 'frontend', 'token', { months: 12 });
+
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(trend.data.periods.length, 12);
+        assert.ok(trend.data.periods.every(period => period.count > 0));
+        assert.match(requests[0].variables.q0, /^topic:react created:\d{4}-\d{2}-01\.\.\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('should return a trend with failed periods without caching it', async () => {
+        githubService.http.post = async (url, body) => ({
+            data: {
+                data: { ...Object.fromEntries(Object.keys(body.variables).map(alias => [alias, { repositoryCount: 10 }])), q5: null },
+                errors: [{ path: ['q5'], message: 'Timeout' }]
+            }
+        });
+
+        const trend = await githubService.getSkillDemandOverTime('Vue', 'frontend', 'token', { months: 6 });
+        const key = cacheService.generateKey('github:demand-trend', { skill: 'Vue', track: 'frontend', months: 6, granularity: 'monthly' });
+
+        assert.deepStrictEqual(trend.data.periods.map(period => period.error || false), [false, false, false, false, false, true]);
+        assert.strictEqual(cacheService.get(key), null);
+        await assert.rejects(cacheService.getOrSet(key, async () => assert.fail('fetched again')), /1 of 6 periods/);
+    });
+
+    it('should fail only the queries GitHub could not answer', async () => {
+        githubService.http.post = async () => ({
+            data: {
+                data: { q0: { repositoryCount: 7 }, q1: null },
+                errors: [{ path: ['q1'], message: 'Invalid search query' }]
+            }
+        });
+
+        const [ok, failed] = await Promise.allSettled(
+            ['good', 'bad'].map(query => githubService.countRepositories(query, 'token'))
+        );
+
+        assert.strictEqual(ok.value, 7);
+        assert.match(failed.reason.message, /Invalid search query/);
+    });
+
+    it('should estimate batched searches as shares of a request', () => {
+        const calls = githubService.estimateCalls('Vue', 'frontend', { months: 6 }, { trends: true, customToken: 'token' });
+
+        assert.deepStrictEqual(calls, { demand: 1 / 20, trends: 6 * (1 / 20) });
+        assert.deepStrictEqual(
+            githubService.estimateCalls('Vue', 'frontend', { months: 6 }, { trends: true }),
+            { demand: 1, trends: 6 }
+        );
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for the shared upstream HTTP client
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { HttpClient, CircuitBreaker } from '../src/services/httpClient.js';
+
+/**
+ * Client that records its waits instead of sleeping
+ */
+function createClient(options = {}) {
+    const client = new HttpClient('test', { baseDelayMs: 10, ...options });
+    client.waits = [];
+    client.sleep = async ms => {
+        client.waits.push(ms);
+    };
+    return client;
+}
+
+describe('HTTP Client', () => {
+    let server;
+    let baseURL;
+    // Responses to send, in order: { status, headers, body }
+    let replies;
+    let requests;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            const reply = replies.shift() || { status: 200, body: { ok: true } };
+            res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+            res.end(JSON.stringify(reply.body || {}));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        replies = [];
+        requests = [];
+    });
+
+    it('should retry server errors with growing backoff', async () => {
+        replies = [{ status: 503 }, { status: 502 }];
+        const client = createClient();
+
+        const response = await client.get(`${baseURL}/search`);
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(requests.length, 3);
+        assert.ok(client.waits[0] >= 5 && client.waits[0] <= 10);
+        assert.ok(client.waits[1] >= 10 && client.waits[1] <= 20);
+    });
+
+    it('should not retry other client errors', async () => {
+        replies = [{ status: 404 }];
+        const client = createClient();
+
+        await assert.rejects(client.get(`${baseURL}/missing`), error => error.response.status === 404);
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(client.breaker.getState(), 'closed');
+    });
+
+    it('should wait as long as Retry-After says', async () => {
+        replies = [{ status: 429, headers: { 'Retry-After': '2' } }];
+        const client = createClient();
+
+        await client.get(`${baseURL}/search`);
+        assert.deepStrictEqual(client.waits, [2000]);
+    });
+
+    it('should wait until X-RateLimit-Reset when the quota is used up', async () => {
+        const reset = Math.floor(Date.now() / 1000) + 5;
+        replies = [{ status: 403, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) } }];
+        const client = createClient();
+
+        await client.get(`${baseURL}/search/repositories`);
+        assert.ok(client.waits[0] > 3000 && client.waits[0] <= 5000);
+    });
+
+    it('should honor the Stack Exchange backoff field on later requests', async () => {
+        replies = [{ status: 200, body: { items: [], backoff: 3 } }];
+        const client = createClient();
+
+        await client.get(`${baseURL}/questions`);
+        await client.get(`${baseURL}/questions?page=2`);
+        await client.get(`${baseURL}/info`);
+
+        assert.strictEqual(client.waits.length, 1);
+        assert.ok(client.waits[0] > 2500 && client.waits[0] <= 3000);
+    });
+
+    it('should use the service hook for service-specific throttling', async () => {
+        replies = [{ status: 400, body: { error_name: 'throttle_violation' } }];
+        const client = createClient({
+            getRetryDelay: response => response.data.error_name === 'throttle_violation' ? 1000 : null
+        });
+
+        await client.get(`${baseURL}/questions`);
+        assert.deepStrictEqual(client.waits, [1000]);
+    });
+
+    it('should fail fast and open the circuit on long rate limits', async () => {
+        replies = [{ status: 429, headers: { 'Retry-After': '3600' } }];
+        const client = createClient();
+
+        await assert.rejects(client.get(`${baseURL}/search`), error => error.response.status === 429);
+        assert.strictEqual(client.waits.length, 0);
+
+        const status = client.breaker.getStatus();
+        assert.strictEqual(status.state, 'open');
+        assert.ok(Date.parse(status.openUntil) > Date.now() + 3500 * 1000);
+
+        await assert.rejects(client.get(`${baseURL}/search`), error => error.code === 'CIRCUIT_OPEN');
+        assert.strictEqual(requests.length, 1);
+    });
+
+    it('should open the circuit after repeated failures', async () => {
+        replies = Array(4).fill({ status: 500 });
+        const client = createClient({ maxRetries: 1, failureThreshold: 2 });
+
+        await assert.rejects(client.get(`${baseURL}/search`));
+        assert.strictEqual(client.breaker.getState(), 'closed');
+        await assert.rejects(client.get(`${baseURL}/search`));
+        assert.strictEqual(client.breaker.getState(), 'open');
+        assert.strictEqual(client.breaker.getStatus().failures, 2);
+    });
+
+    it('should pass successful responses to onResponse', async () => {
+        replies = [{ status: 503 }, { status: 200, body: { quota_remaining: 42 } }];
+        const seen = [];
+        const client = createClient({ onResponse: response => seen.push(response.data.quota_remaining) });
+
+        await client.get(`${baseURL}/search`);
+        assert.deepStrictEqual(seen, [42]);
+    });
+
+    it('should send a single trial request when the cooldown is over', async () => {
+        replies = [{ status: 503 }];
+        const client = createClient({ maxRetries: 0, failureThreshold: 1 });
+        await assert.rejects(client.get(`${baseURL}/search`));
+        client.breaker.openUntil = Date.now();
+        requests = [];
+
+        const results = await Promise.allSettled([1, 2, 3].map(() => client.get(`${baseURL}/search`)));
+
+        assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'rejected']);
+        assert.strictEqual(results[1].reason.code, 'CIRCUIT_OPEN');
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(client.breaker.getState(), 'closed');
+    });
+
+    it('should free the trial when it fails without a retry', async () => {
+        replies = [{ status: 503 }, { status: 404 }];
+        const client = createClient({ maxRetries: 0, failureThreshold: 1 });
+        await assert.rejects(client.get(`${baseURL}/search`));
+        client.breaker.openUntil = Date.now();
+
+        await assert.rejects(client.get(`${baseURL}/missing`), error => error.response.status === 404);
+        assert.strictEqual(client.breaker.trialInFlight, false);
+
+        // The next request is the trial and closes the breaker
+        await client.get(`${baseURL}/search`);
+        assert.strictEqual(client.breaker.getState(), 'closed');
+    });
+});
+
+describe('Circuit Breaker', () => {
+    it('should let a trial request through after the cooldown', () => {
+        const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: 1000 });
+        const now = Date.now();
+
+        breaker.recordFailure(new Error('down'), null, now);
+        assert.strictEqual(breaker.canRequest(now + 500), false);
+        assert.strictEqual(breaker.getState(now + 1000), 'half_open');
+        assert.strictEqual(breaker.canRequest(now + 1000), true);
+        assert.strictEqual(breaker.canRequest(now + 1000), false);
+
+        breaker.recordSuccess();
+        assert.strictEqual(breaker.getState(now + 1000), 'closed');
+        assert.strictEqual(breaker.getStatus().failures, 0);
+    });
+
+    it('should reopen when the trial request fails', () => {
+        const breaker = new CircuitBreaker('test', { failureThreshold: 3, cooldownMs: 1000 });
+        const now = Date.now();
+
+        breaker.recordFailure(new Error('down'), now + 1000, now);
+        assert.strictEqual(breaker.getState(now + 1500), 'half_open');
+
+        breaker.recordFailure(new Error('still down'), null, now + 1500);
+        assert.strictEqual(breaker.getState(now + 2000), 'open');
+        assert.strictEqual(breaker.getStatus(now + 2000).lastError, 'still down');
+    });
+});
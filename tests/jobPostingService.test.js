@@ -0,0 +1,65 @@
+/**
+ * Tests for the job posting demand corpus
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jobPostingService from '../src/services/jobPostingService.js';
+
+const months = [
+    { period: '2026-01', label: 'Jan 2026', start: '2026-01-01', end: '2026-01-31' },
+    { period: '2026-02', label: 'Feb 2026', start: '2026-02-01', end: '2026-02-28' }
+];
+
+describe('Job Posting Service', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'drv-jobs-'));
+        fs.writeFileSync(path.join(directory, 'export.csv'), [
+            'title,description,posted_at',
+            'Frontend Engineer,"Build UIs with ReactJS, ""modern"" CSS",2026-01-14',
+            'Backend Engineer,"Node.js services,',
+            'PostgreSQL and Go",2026-02-02',
+            'Platform Engineer,We go fast with Kubernetes,2026-02-20'
+        ].join('\r\n'));
+        fs.writeFileSync(path.join(directory, 'feed.jsonl'), [
+            JSON.stringify({ title: 'React Native Developer', skills: ['React', 'TypeScript'], datePosted: '2026-02-11T09:00:00Z' }),
+            'not json',
+            JSON.stringify({ title: 'Undated React role' })
+        ].join('\n'));
+        jobPostingService.setDirectory(directory);
+    });
+
+    after(() => {
+        jobPostingService.setDirectory(process.env.JOB_POSTINGS_DIR);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should parse quoted CSV fields, including embedded newlines', () => {
+        const records = jobPostingService.parseCsv('a,b\n"x, ""y""","line 1\nline 2"\n');
+        assert.deepStrictEqual(records, [{ a: 'x, "y"', b: 'line 1\nline 2' }]);
+    });
+
+    it('should count postings that mention a skill or its aliases per month', async () => {
+        assert.deepStrictEqual(
+            (await jobPostingService.countByPeriod('React', months)).map(m => m.count),
+            [1, 1]
+        );
+        assert.deepStrictEqual(
+            (await jobPostingService.countByPeriod('Node.js', months)).map(m => m.count),
+            [0, 1]
+        );
+    });
+
+    it('should match short skill names case-sensitively', async () => {
+        assert.deepStrictEqual(
+            (await jobPostingService.countByPeriod('Go', months)).map(m => m.count),
+            [0, 1]
+        );
+    });
+});
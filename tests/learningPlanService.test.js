@@ -0,0 +1,57 @@
+/**
+ * Tests for the week-by-week learning plan
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import learningPlanService from '../src/services/learningPlanService.js';
+import { getEstimatedHours } from '../src/config/roadmaps.js';
+
+describe('Learning Plan Service', () => {
+    it('should split skills across weeks in learning order', () => {
+        // HTML 25h, CSS 40h at 20h/week: weeks 1-2 and 2-4
+        const plan = learningPlanService.generatePlan({
+            track: 'frontend',
+            learningOrder: [
+                { step: 1, skill: 'HTML', unlockedBy: [] },
+                { step: 2, skill: 'CSS', unlockedBy: [{ step: 1, skill: 'HTML' }] }
+            ]
+        }, { hoursPerWeek: 20, startDate: '2026-01-05' });
+
+        assert.strictEqual(plan.totalHours, 65);
+        assert.strictEqual(plan.totalWeeks, 4);
+        assert.deepStrictEqual(plan.skills.map(s => [s.skill, s.startWeek, s.endWeek]), [
+            ['HTML', 1, 2],
+            ['CSS', 2, 4]
+        ]);
+        assert.deepStrictEqual(plan.weeks[1].skills, [
+            { skill: 'HTML', hours: 5 },
+            { skill: 'CSS', hours: 15 }
+        ]);
+        assert.strictEqual(plan.weeks[0].endDate, '2026-01-11');
+        assert.strictEqual(plan.endDate, '2026-02-01');
+    });
+
+    it('should order fullstack section gaps by prerequisites', () => {
+        const plan = learningPlanService.generatePlan({
+            track: 'fullstack',
+            sections: {
+                frontend: { gaps: [{ skill: 'React' }] },
+                backend: { gaps: [{ skill: 'Node.js' }] },
+                both: { gaps: [{ skill: 'JavaScript' }] }
+            }
+        }, { hoursPerWeek: 10, startDate: '2026-01-05' });
+
+        const skills = plan.skills.map(s => s.skill);
+        assert.ok(skills.indexOf('JavaScript') < skills.indexOf('React'));
+        assert.ok(skills.indexOf('JavaScript') < skills.indexOf('Node.js'));
+        assert.strictEqual(plan.skills[0].estimatedHours, getEstimatedHours('fullstack', 'JavaScript'));
+    });
+
+    it('should only accept real YYYY-MM-DD dates', () => {
+        assert.ok(learningPlanService.parseDate('2026-02-28'));
+        assert.strictEqual(learningPlanService.parseDate('2026-02-30'), null);
+        assert.strictEqual(learningPlanService.parseDate('next monday'), null);
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for npm download counts as demand evidence
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import npmService from '../src/services/npmService.js';
+import { getNpmPackages } from '../src/config/roadmaps.js';
+import { getPeriodBuckets } from '../src/services/demandWindow.js';
+
+describe('npm Service', () => {
+    it('should map skills to packages, including composed tracks', () => {
+        assert.deepStrictEqual(getNpmPackages('frontend', 'vite'), ['vite']);
+        assert.deepStrictEqual(getNpmPackages('fullstack', 'Express.js'), ['express']);
+        assert.deepStrictEqual(getNpmPackages('frontend', 'HTML'), []);
+    });
+
+    it('should sum daily downloads into calendar months', () => {
+        const months = getPeriodBuckets({ months: 3 }, new Date(2026, 2, 31)).slice(1);
+        assert.deepStrictEqual(months.map(m => m.period), ['2026-02', '2026-03']);
+
+        const periods = npmService.bucketByPeriod([
+            { day: '2026-01-31', downloads: 5 },
+            { day: '2026-02-01', downloads: 10 },
+            { day: '2026-02-28', downloads: 20 },
+            { day: '2026-03-01', downloads: 7 }
+        ], months);
+
+        assert.deepStrictEqual(periods.map(m => [m.period, m.count]), [
+            ['2026-02', 30],
+            ['2026-03', 7]
+        ]);
+    });
+
+    it('should sum daily downloads into weeks', () => {
+        const weeks = getPeriodBuckets({ months: 3, granularity: 'weekly' }, new Date(2026, 2, 31)).slice(-2);
+        assert.deepStrictEqual(weeks.map(w => w.period), ['2026-03-23', '2026-03-30']);
+
+        const periods = npmService.bucketByPeriod([
+            { day: '2026-03-22', downloads: 1 },
+            { day: '2026-03-23', downloads: 10 },
+            { day: '2026-03-29', downloads: 5 },
+            { day: '2026-03-30', downloads: 7 }
+        ], weeks);
+
+        assert.deepStrictEqual(periods.map(w => w.count), [15, 7]);
+    });
+
+    it('should split long windows into range requests the API accepts', () => {
+        assert.deepStrictEqual(npmService.getRangePeriods('2024-11-01', '2026-10-19'), [
+            '2024-11-01:2025-10-31',
+            '2025-11-01:2026-10-19'
+        ]);
+        assert.deepStrictEqual(npmService.getRangePeriods('2026-05-01', '2026-10-19'), [
+            '2026-05-01:2026-10-19'
+        ]);
+    });
+
+    it('should report zero downloads for skills without packages', async () => {
+        const result = await npmService.getSkillDemand('HTML', 'frontend');
+        assert.strictEqual(result.data.count, 0);
+        assert.deepStrictEqual(result.data.packages, []);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for the request budget planner
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { DemandProviderRegistry } from '../src/services/demandProviders.js';
+import { RequestBudgetPlanner } from '../src/services/requestBudget.js';
+import { getPeriodBuckets } from '../src/services/demandWindow.js';
+
+const gaps = [
+    { skill: 'Docker', weight: 6 },
+    { skill: 'SQL', weight: 9 },
+    { skill: 'Git', weight: 8 },
+    { skill: 'Redis', weight: 4 }
+];
+
+/**
+ * Provider with a fixed quota; skills in cached cost nothing
+ */
+function quotaProvider(id, remaining, { cached = [] } = {}) {
+    return {
+        id,
+        label: id.toUpperCase(),
+        weight: 1,
+        credential: `${id}Key`,
+        getSkillDemand: async () => ({ count: 1 }),
+        getSkillDemandOverTime: async () => ({ periods: [] }),
+        estimateCalls: (skill, track, window, { trends }) => ({
+            demand: cached.includes(skill) ? 0 : 1,
+            trends: trends && !cached.includes(skill) ? getPeriodBuckets(window).length : 0
+        }),
+        getQuota: async () => (remaining === null ? null : { remaining })
+    };
+}
+
+function planner(...providers) {
+    const registry = new DemandProviderRegistry();
+    providers.forEach(provider => registry.register(provider));
+    return new RequestBudgetPlanner(registry);
+}
+
+describe('Request Budget', () => {
+    it('should run the full plan when the quota suffices', async () => {
+        const plan = await planner(quotaProvider('a', 100)).plan(gaps, 'backend', {}, { months: 6 }, { trends: true });
+
+        assert.deepStrictEqual(plan.window, { months: 6, granularity: 'monthly' });
+        assert.deepStrictEqual(plan.skip, {});
+        assert.deepStrictEqual(plan.budget.estimatedCalls, { a: 28 });
+        assert.deepStrictEqual(plan.budget.remaining, { a: 100 });
+        assert.strictEqual(plan.budget.degraded, false);
+    });
+
+    it('should not check quotas when everything is cached', async () => {
+        const provider = quotaProvider('a', 0, { cached: gaps.map(g => g.skill) });
+        provider.getQuota = async () => assert.fail('quota checked');
+
+        const plan = await planner(provider).plan(gaps, 'backend');
+        assert.strictEqual(plan.budget.degraded, false);
+    });
+
+    it('should shorten the window when trends do not fit', async () => {
+        const plan = await planner(quotaProvider('a', 20)).plan(
+            gaps, 'backend', {}, { months: 12, granularity: 'weekly' }, { trends: true }
+        );
+
+        // 4 demand lookups and 4 gaps x 3 months of trends
+        assert.deepStrictEqual(plan.window, { months: 3, granularity: 'monthly' });
+        assert.deepStrictEqual(plan.skip, {});
+        assert.strictEqual(plan.budget.degraded, true);
+        assert.match(plan.budget.warnings[1], /shortened from past 12 months \(weekly\) to past 3 months \(monthly\)/);
+    });
+
+    it('should look up the highest-impact gaps only when demand does not fit', async () => {
+        const plan = await planner(quotaProvider('a', 2), quotaProvider('b', null)).plan(gaps, 'backend');
+
+        assert.deepStrictEqual(plan.skip, { Docker: ['a'], Redis: ['a'] });
+        assert.deepStrictEqual(plan.budget.remaining, { a: 2, b: null });
+        assert.match(plan.budget.warnings[0], /A: about 4 API calls needed, 2 left/);
+        assert.match(plan.budget.warnings[1], /2 of 4 gaps have no A data/);
+    });
+
+    it('should keep cached gaps and drop trends that no longer fit', async () => {
+        const plan = await planner(quotaProvider('a', 10, { cached: ['Redis'] })).plan(
+            gaps, 'backend', {}, { months: 3 }, { trends: true }
+        );
+
+        // Demand for the three uncached gaps, then trends for SQL and Git
+        assert.deepStrictEqual(plan.skip, {});
+        assert.deepStrictEqual(plan.skipTrends, ['Docker']);
+        assert.match(plan.budget.warnings[1], /Trends were not fetched for 1 of 4 gaps/);
+    });
+
+    it('should pass each provider its credential', async () => {
+        const provider = quotaProvider('a', 100);
+        provider.getQuota = async key => {
+            assert.strictEqual(key, 'secret');
+            return { remaining: 100 };
+        };
+
+        await planner(provider).plan(gaps, 'backend', { aKey: 'secret' });
+    });
+});
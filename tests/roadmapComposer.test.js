@@ -0,0 +1,97 @@
+/**
+ * Tests for roadmap composition (extends/overrides)
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { composeRoadmapDefinitions } from '../src/config/roadmapComposer.js';
+import { getCoreSkills } from '../src/config/roadmaps.js';
+import { PREREQUISITES } from '../src/config/prerequisites.js';
+
+const web = {
+    id: 'web',
+    name: 'Web',
+    coreSkills: [
+        { name: 'HTML', weight: 10, category: 'fundamentals' },
+        { name: 'Git', weight: 7, category: 'fundamentals', aliases: ['git-scm'] }
+    ],
+    prerequisites: { HTML: [], Git: ['HTML'] }
+};
+
+const server = {
+    id: 'server',
+    name: 'Server',
+    coreSkills: [
+        { name: 'Node.js', weight: 10, category: 'fundamentals' },
+        { name: 'Git', weight: 9, category: 'fundamentals', aliases: ['GitHub Flow'] }
+    ],
+    prerequisites: { 'Node.js': [] }
+};
+
+describe('Roadmap Composition', () => {
+    it('should tag inherited skills with their section and merge shared ones', () => {
+        const [, , composed] = composeRoadmapDefinitions([web, server, {
+            id: 'combined',
+            name: 'Combined',
+            extends: [
+                { track: 'web', section: 'frontend' },
+                { track: 'server', section: 'backend' }
+            ]
+        }]);
+
+        const byName = Object.fromEntries(composed.coreSkills.map(s => [s.name, s]));
+        assert.strictEqual(byName.HTML.section, 'frontend');
+        assert.strictEqual(byName['Node.js'].section, 'backend');
+        assert.strictEqual(byName.Git.section, 'both');
+        assert.strictEqual(byName.Git.weight, 9);
+        assert.deepStrictEqual(byName.Git.aliases, ['git-scm', 'GitHub Flow']);
+        assert.deepStrictEqual(composed.prerequisites.Git, ['HTML']);
+    });
+
+    it('should apply overrides and drop prerequisites outside the include list', () => {
+        const [, composed] = composeRoadmapDefinitions([web, {
+            id: 'lite',
+            name: 'Lite',
+            extends: [{ track: 'web', section: 'frontend', include: ['Git'] }],
+            overrides: { Git: { weight: 10, section: 'both' } }
+        }]);
+
+        assert.deepStrictEqual(composed.coreSkills.map(s => [s.name, s.weight, s.section]), [
+            ['Git', 10, 'both']
+        ]);
+        assert.deepStrictEqual(composed.prerequisites.Git, []);
+        assert.strictEqual(composed.extends, undefined);
+    });
+
+    it('should reject unknown parents, unknown skills and cycles', () => {
+        assert.throws(
+            () => composeRoadmapDefinitions([{ id: 'a', name: 'A', extends: [{ track: 'missing' }] }]),
+            /extends unknown track "missing"/
+        );
+        assert.throws(
+            () => composeRoadmapDefinitions([web, {
+                id: 'b', name: 'B', extends: [{ track: 'web', include: ['CSS'] }]
+            }]),
+            /"CSS", which is not a core skill of web/
+        );
+        assert.throws(
+            () => composeRoadmapDefinitions([
+                { id: 'a', name: 'A', extends: [{ track: 'b' }] },
+                { id: 'b', name: 'B', extends: [{ track: 'a' }] }
+            ]),
+            /extends itself through a -> b -> a/
+        );
+    });
+
+    it('should derive fullstack skills from the frontend and backend roadmaps', () => {
+        const fullstack = getCoreSkills('fullstack');
+        const devtools = fullstack.find(s => s.name === 'Browser DevTools');
+        const frontendDevtools = getCoreSkills('frontend').find(s => s.name === 'Browser DevTools');
+
+        assert.strictEqual(devtools.weight, frontendDevtools.weight);
+        assert.strictEqual(devtools.section, 'frontend');
+        assert.strictEqual(fullstack.find(s => s.name === 'JavaScript').section, 'both');
+        assert.ok(PREREQUISITES.fullstack['Node.js']);
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for roadmap integrity checks
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { lintRoadmaps, lintTrack, findPrerequisiteCycles, LINT_RULES } from '../src/config/roadmapLint.js';
+
+describe('Roadmap Lint', () => {
+    it('should find no problems in the bundled roadmaps', () => {
+        assert.deepStrictEqual(lintRoadmaps(), []);
+    });
+
+    it('should detect prerequisite cycles', () => {
+        const cycles = findPrerequisiteCycles({ A: ['B'], B: ['C'], C: ['A'] });
+        assert.strictEqual(cycles.length, 1);
+        assert.deepStrictEqual(cycles[0], ['A', 'B', 'C', 'A']);
+    });
+
+    it('should report dangling, orphan, duplicate, weight, npm package and section problems', () => {
+        const roadmap = {
+            coreSkills: [
+                { name: 'HTML', weight: 10, category: 'fundamentals', section: 'frontend' },
+                { name: 'html', weight: 11, category: 'fundamentals', section: 'client', npmPackages: ['HTML5'] }
+            ]
+        };
+        const issues = lintTrack('fullstack', roadmap, {
+            HTML: ['Service Workers'],
+            GitHub: ['HTML']
+        });
+        const rules = issues.map(i => i.rule);
+
+        assert.ok(rules.includes(LINT_RULES.DUPLICATE_SKILL));
+        assert.ok(rules.includes(LINT_RULES.WEIGHT_RANGE));
+        assert.ok(rules.includes(LINT_RULES.INVALID_SECTION));
+        assert.ok(rules.includes(LINT_RULES.NPM_PACKAGE));
+        assert.ok(rules.includes(LINT_RULES.DANGLING_PREREQUISITE));
+        assert.ok(rules.includes(LINT_RULES.ORPHAN_SKILL));
+        assert.ok(issues.every(i => i.track === 'fullstack' && i.skill));
+    });
+
+    it('should report estimated hours outside 1-200', () => {
+        const roadmap = {
+            coreSkills: [
+                { name: 'HTML', weight: 10, category: 'fundamentals', estimatedHours: 0.5 },
+                { name: 'CSS', weight: 10, category: 'fundamentals', estimatedHours: 1 },
+                { name: 'React', weight: 9, category: 'frameworks', estimatedHours: 201 }
+            ]
+        };
+        const issues = lintTrack('frontend', roadmap).filter(i => i.rule === LINT_RULES.EFFORT_RANGE);
+
+        assert.deepStrictEqual(issues.map(i => [i.skill, i.message]), [
+            ['HTML', 'estimatedHours 0.5 is outside 1-200'],
+            ['React', 'estimatedHours 201 is outside 1-200']
+        ]);
+    });
+
+    it('should report malformed Stack Overflow tags and GitHub topics', () => {
+        const roadmap = {
+            coreSkills: [
+                { name: 'CSS Grid', weight: 6, category: 'styling', stackoverflowTags: ['CSS Grid'], githubTopics: ['css_grid'] },
+                { name: 'Async/Await', weight: 8, category: 'javascript', stackoverflowTags: ['a', 'b', 'c', 'd', 'e', 'f'] },
+                { name: 'React', weight: 9, category: 'frameworks', stackoverflowTags: ['reactjs'], githubTopics: ['react'] }
+            ]
+        };
+        const issues = lintTrack('frontend', roadmap);
+
+        assert.deepStrictEqual(
+            issues.map(i => [i.skill, i.rule]),
+            [
+                ['CSS Grid', LINT_RULES.STACKOVERFLOW_TAG],
+                ['CSS Grid', LINT_RULES.GITHUB_TOPIC],
+                ['Async/Await', LINT_RULES.STACKOVERFLOW_TAG]
+            ]
+        );
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for roadmap data loading
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadRoadmapDefinitions, buildRegistry } from '../src/config/roadmapLoader.js';
+import { validateRoadmapDefinition } from '../src/config/roadmapSchema.js';
+
+describe('Roadmap Loader', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roadmaps-'));
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load the bundled roadmap definitions', () => {
+        const definitions = loadRoadmapDefinitions();
+        const ids = definitions.map(d => d.id);
+        assert.ok(ids.includes('frontend'));
+        assert.ok(ids.includes('backend'));
+        assert.ok(ids.includes('fullstack'));
+    });
+
+    it('should load YAML definitions', () => {
+        fs.writeFileSync(path.join(tmpDir, 'mobile.yaml'), [
+            'id: mobile',
+            'name: Mobile Development',
+            'coreSkills:',
+            '  - { name: Swift, weight: 9, category: languages }',
+            'prerequisites:',
+            '  Swift: []'
+        ].join('\n'));
+
+        const { roadmaps, prerequisites } = buildRegistry(loadRoadmapDefinitions(tmpDir));
+        assert.strictEqual(roadmaps.mobile.coreSkills[0].name, 'Swift');
+        assert.deepStrictEqual(prerequisites.mobile.Swift, []);
+    });
+
+    it('should reject definitions that do not match the schema', () => {
+        fs.writeFileSync(path.join(tmpDir, 'broken.json'), JSON.stringify({
+            id: 'broken',
+            name: 'Broken',
+            coreSkills: [{ name: 'HTML', weight: 'high', category: 'fundamentals' }]
+        }));
+
+        assert.throws(() => loadRoadmapDefinitions(tmpDir), /coreSkills\[0\]\.weight must be number/);
+        fs.unlinkSync(path.join(tmpDir, 'broken.json'));
+    });
+
+    it('should report missing required fields', () => {
+        const errors = validateRoadmapDefinition({ id: 'x', coreSkills: [] });
+        assert.ok(errors.includes('name is required'));
+        assert.ok(errors.includes('coreSkills must contain at least one skill'));
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * Tests for skill alias resolution
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import skillNormalizer from '../src/services/skillNormalizer.js';
+
+describe('Skill Normalizer', () => {
+    it('should resolve aliases to canonical names', () => {
+        assert.strictEqual(skillNormalizer.resolve('ReactJS'), 'React');
+        assert.strictEqual(skillNormalizer.resolve('Node'), 'Node.js');
+        assert.strictEqual(skillNormalizer.resolve('Postgres'), 'PostgreSQL');
+        assert.strictEqual(skillNormalizer.resolve('ES2015'), 'ES6+');
+    });
+
+    it('should ignore case, spacing and punctuation', () => {
+        assert.strictEqual(skillNormalizer.resolve('node js'), 'Node.js');
+        assert.strictEqual(skillNormalizer.resolve('  html '), 'HTML');
+    });
+
+    it('should report remapped and unrecognized inputs', () => {
+        const result = skillNormalizer.normalizeSkills([
+            { name: 'ReactJS', proficiency: 'beginner' },
+            { name: 'React', proficiency: 'strong' },
+            { name: 'COBOL', proficiency: 'strong' }
+        ]);
+
+        assert.deepStrictEqual(result.remapped, [{ input: 'ReactJS', skill: 'React' }]);
+        assert.deepStrictEqual(result.unrecognized, ['COBOL']);
+        assert.strictEqual(result.skills.length, 2);
+        assert.strictEqual(result.skills.find(s => s.name === 'React').proficiency, 'strong');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for offline mode with recorded demand snapshots
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import snapshotService from '../src/services/snapshotService.js';
+import githubService from '../src/services/githubService.js';
+import stackoverflowService from '../src/services/stackoverflowService.js';
+
+const periods = [
+    { period: '2026-01', label: 'Jan 2026', start: '2026-01-01', end: '2026-01-31', count: 40 },
+    { period: '2026-02', label: 'Feb 2026', start: '2026-02-01', end: '2026-02-28', count: 60 }
+];
+
+describe('Demand Snapshots', () => {
+    let directory;
+    const originalFile = snapshotService.file;
+    const wasOffline = snapshotService.isOffline();
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'drv-snapshot-'));
+        const file = path.join(directory, 'snapshot.json');
+
+        const snapshot = snapshotService.createSnapshot(new Date('2026-03-01T12:00:00Z'));
+        snapshotService.setEntry(snapshot, 'github', 'frontend', 'React', { count: 1500, periods });
+        snapshotService.setEntry(snapshot, 'stackoverflow', 'frontend', 'React', { count: 300 });
+        snapshotService.save(snapshot, file);
+
+        snapshotService.setFile(file);
+        snapshotService.setOffline(true);
+    });
+
+    after(() => {
+        snapshotService.setOffline(wasOffline);
+        snapshotService.setFile(originalFile);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should answer GitHub and Stack Overflow from the snapshot', async () => {
+        const github = await githubService.getSkillDemand('React', 'frontend');
+        const stackoverflow = await stackoverflowService.getSkillDemand('React', 'frontend');
+        const trend = await githubService.getSkillDemandOverTime('React', 'frontend');
+
+        assert.strictEqual(github.data.count, 1500);
+        assert.strictEqual(github.data.snapshotDate, '2026-03-01T12:00:00.000Z');
+        assert.strictEqual(stackoverflow.data.count, 300);
+        assert.deepStrictEqual(trend.data.periods, periods);
+    });
+
+    it('should report skills missing from the snapshot instead of calling the API', async () => {
+        const demand = await githubService.getSkillDemand('Vite', 'frontend');
+        assert.strictEqual(demand.count, 0);
+        assert.match(demand.error, /No snapshot data for Vite \(frontend\) from github/);
+
+        await assert.rejects(
+            () => stackoverflowService.getSkillDemandOverTime('React', 'frontend'),
+            /No snapshot trend data/
+        );
+    });
+
+    it('should only answer for the window the snapshot was recorded with', async () => {
+        const demand = await stackoverflowService.getSkillDemand('React', 'frontend', null, { months: 12 });
+        assert.match(demand.error, /covers past 6 months \(monthly\) only/);
+
+        await assert.rejects(
+            () => githubService.getSkillDemandOverTime('React', 'frontend', null, { granularity: 'weekly' }),
+            /covers past 6 months/
+        );
+    });
+
+    it('should describe the snapshot in use', () => {
+        assert.deepStrictEqual(snapshotService.getSnapshotInfo(), {
+            recordedAt: '2026-03-01T12:00:00.000Z',
+            window: { months: 6, granularity: 'monthly' }
+        });
+    });
+});
@@ -0,0 +1,31 @@
+/**
+ * Tests for the Stack Exchange quota tracking
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import stackoverflowService from '../src/services/stackoverflowService.js';
+
+describe('Stack Overflow Service', () => {
+    beforeEach(() => {
+        stackoverflowService.quotas.clear();
+    });
+
+    it('should answer quota checks from the last response', async () => {
+        stackoverflowService.recordQuota({ data: { items: [], quota_remaining: 240, quota_max: 300 }, config: { params: {} } });
+        stackoverflowService.recordQuota({ data: { items: [], quota_remaining: 9000, quota_max: 10000 }, config: { params: { key: 'abc' } } });
+
+        const status = await stackoverflowService.getQuotaStatus();
+        assert.strictEqual(status.quotaRemaining, 240);
+        assert.strictEqual(status.quotaMax, 300);
+        assert.strictEqual(status.authenticated, false);
+
+        assert.strictEqual((await stackoverflowService.getQuotaStatus('abc')).quotaRemaining, 9000);
+    });
+
+    it('should ignore responses without a quota', () => {
+        stackoverflowService.recordQuota({ data: { error_name: 'throttle_violation' }, config: { params: {} } });
+        assert.strictEqual(stackoverflowService.quotas.size, 0);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for roadmap search terms and the tag report
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import tagReportService from '../src/services/tagReportService.js';
+import stackoverflowService from '../src/services/stackoverflowService.js';
+import githubService from '../src/services/githubService.js';
+import { getCoreSkills } from '../src/config/roadmaps.js';
+
+describe('Search Terms', () => {
+    it('should use the roadmap mapping for Stack Overflow tags', () => {
+        assert.deepStrictEqual(stackoverflowService.buildSkillTags('React', 'frontend'), ['reactjs']);
+        assert.deepStrictEqual(stackoverflowService.buildSkillTags('Node.js', 'backend'), ['node.js']);
+        // Not mapped: derived from the name
+        assert.deepStrictEqual(stackoverflowService.buildSkillTags('Component Architecture', 'frontend'), ['component-architecture']);
+    });
+
+    it('should search GitHub topics for mapped skills', () => {
+        assert.strictEqual(githubService.buildSkillQuery('Node.js', 'backend'), 'topic:nodejs');
+        assert.strictEqual(
+            githubService.buildSkillQuery('React', 'frontend', '2026-01-01', '2026-01-31'),
+            'topic:react created:2026-01-01..2026-01-31'
+        );
+        assert.match(githubService.buildSkillQuery('Routing', 'backend'), /^routing in:readme,description /);
+    });
+});
+
+describe('Tag Report', () => {
+    const original = {
+        getTagInfo: stackoverflowService.getTagInfo,
+        getTagSynonyms: stackoverflowService.getTagSynonyms,
+        countRepositories: githubService.countRepositories,
+        getQuota: githubService.getQuota,
+        getApiMode: githubService.getApiMode,
+        isCountCached: githubService.isCountCached
+    };
+
+    before(() => {
+        // Everything exists except the derived "component-architecture" and the "flexbox" tag;
+        // "css-flexbox" (the skill name) is a synonym of "flex-layout"
+        stackoverflowService.getTagInfo = async tags => Object.fromEntries(
+            tags
+                .filter(tag => !['component-architecture', 'components', 'flexbox', 'css-flexbox'].includes(tag))
+                .map(tag => [tag, 100])
+        );
+        stackoverflowService.getTagSynonyms = async tags => ({
+            ...(tags.includes('reactjs') ? { reactjs: ['react', 'react-js'] } : {}),
+            'flex-layout': ['css-flexbox']
+        });
+        githubService.countRepositories = async query => (query === 'topic:css-grid' ? 0 : 50);
+        githubService.getQuota = async () => ({ remaining: 1000 });
+        githubService.getApiMode = () => 'rest';
+        githubService.isCountCached = () => false;
+    });
+
+    after(() => {
+        Object.assign(stackoverflowService, {
+            getTagInfo: original.getTagInfo,
+            getTagSynonyms: original.getTagSynonyms
+        });
+        Object.assign(githubService, {
+            countRepositories: original.countRepositories,
+            getQuota: original.getQuota,
+            getApiMode: original.getApiMode,
+            isCountCached: original.isCountCached
+        });
+    });
+
+    it('should list skills whose tags return zero questions', async () => {
+        const report = await tagReportService.getReport('frontend');
+
+        assert.deepStrictEqual(report.zeroQuestions, [
+            { skill: 'Component Architecture', tags: ['component-architecture'], suggestions: [] },
+            { skill: 'CSS Flexbox', tags: ['flexbox'], suggestions: ['flex-layout'] }
+        ]);
+        assert.deepStrictEqual(report.zeroRepositories, [{ skill: 'CSS Grid', topics: ['css-grid'] }]);
+    });
+
+    it('should report mappings, counts and synonyms per skill', async () => {
+        const report = await tagReportService.getReport('frontend');
+        const react = report.skills.find(entry => entry.skill === 'React');
+        const architecture = report.skills.find(entry => entry.skill === 'Component Architecture');
+
+        assert.deepStrictEqual(react.stackoverflow.synonyms, { reactjs: ['react', 'react-js'] });
+        assert.strictEqual(react.stackoverflow.questions, 100);
+        assert.deepStrictEqual(react.github, { mapped: true, topics: ['react'], repositories: 50, error: null });
+        assert.strictEqual(architecture.stackoverflow.mapped, false);
+        assert.strictEqual(architecture.github.mapped, false);
+    });
+
+    it('should send REST searches one at a time within the search quota', async () => {
+        const count = githubService.countRepositories;
+        const quota = githubService.getQuota;
+        let active = 0;
+        let maxActive = 0;
+        let searches = 0;
+        githubService.getQuota = async () => ({ remaining: 2, reset: '2026-10-19T12:00:00.000Z' });
+        githubService.countRepositories = async () => {
+            searches++;
+            maxActive = Math.max(maxActive, ++active);
+            await new Promise(resolve => setImmediate(resolve));
+            active--;
+            return 50;
+        };
+
+        try {
+            const results = await tagReportService.checkGithubTopics('backend', getCoreSkills('backend'));
+            const mapped = results.filter(result => result.mapped);
+
+            assert.strictEqual(searches, 2);
+            assert.strictEqual(maxActive, 1);
+            assert.deepStrictEqual(mapped.slice(0, 2).map(result => result.repositories), [50, 50]);
+            assert.ok(mapped.slice(2).every(result => /quota used up until 2026-10-19T12:00/.test(result.error)));
+        } finally {
+            Object.assign(githubService, { countRepositories: count, getQuota: quota });
+        }
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for demand trend analysis
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { analyzeTrend, fitLine, getGrowth } from '../src/services/trendAnalysis.js';
+import { getPeriodBuckets } from '../src/services/demandWindow.js';
+import validationService from '../src/services/validationService.js';
+
+const asOf = new Date(2026, 5, 15);
+
+/**
+ * Six months ending with the (incomplete) month of asOf
+ */
+function series(values) {
+    return getPeriodBuckets({ months: values.length }, asOf).map((bucket, index) => ({
+        ...bucket,
+        combined: values[index]
+    }));
+}
+
+describe('Trend Analysis', () => {
+    it('should compute month-over-month growth', () => {
+        assert.strictEqual(getGrowth(100, 125), 25);
+        assert.strictEqual(getGrowth(0, 10), null);
+    });
+
+    it('should fit a least-squares line', () => {
+        const { slope, intercept, standardError } = fitLine([10, 20, 30, 40]);
+        assert.strictEqual(slope, 10);
+        assert.strictEqual(intercept, 10);
+        assert.strictEqual(standardError, 0);
+    });
+
+    it('should label rising, stable and declining series', () => {
+        assert.strictEqual(analyzeTrend(series([100, 120, 140, 160, 180, 20]), { asOf }).label, 'rising');
+        assert.strictEqual(analyzeTrend(series([100, 102, 99, 101, 100, 20]), { asOf }).label, 'stable');
+        assert.strictEqual(analyzeTrend(series([180, 160, 140, 120, 100, 20]), { asOf }).label, 'declining');
+    });
+
+    it('should leave the incomplete current month out of the fit and growth', () => {
+        const trend = analyzeTrend(series([100, 120, 140, 160, 180, 5]), { asOf });
+
+        assert.strictEqual(trend.basedOnPeriods, 5);
+        assert.strictEqual(trend.slope, 20);
+        assert.strictEqual(trend.growth[4].growth, null);
+        assert.strictEqual(trend.growth[0].growth, 20);
+    });
+
+    it('should forecast the next three months with a confidence band', () => {
+        const trend = analyzeTrend(series([100, 125, 140, 160, 185, 5]), { asOf });
+
+        assert.deepStrictEqual(trend.forecast.map(f => f.period), ['2026-07', '2026-08', '2026-09']);
+        trend.forecast.forEach(f => assert.ok(f.lower <= f.value && f.value <= f.upper));
+        assert.ok(trend.forecast[0].value > 185);
+
+        // The band widens further from the data
+        const widths = trend.forecast.map(f => f.upper - f.lower);
+        assert.ok(widths[2] > widths[0]);
+    });
+
+    it('should analyze weekly series per month and forecast thirteen weeks', () => {
+        const weeks = getPeriodBuckets({ months: 3, granularity: 'weekly' }, asOf)
+            .map((bucket, index) => ({ ...bucket, combined: 100 + index * 2 }));
+        const trend = analyzeTrend(weeks, { asOf, granularity: 'weekly' });
+
+        assert.strictEqual(trend.slope, 2);
+        assert.strictEqual(trend.forecast.length, 13);
+        assert.strictEqual(trend.forecast[0].period, '2026-06-22');
+        // Two more per week is about 7% of the mean per month
+        assert.strictEqual(trend.label, 'rising');
+    });
+
+    it('should sort gaps by trend for the trending option', () => {
+        const gaps = [
+            { skill: 'A', evidence: {}, trend: { label: 'declining', slopePercent: -10 } },
+            { skill: 'B', evidence: {}, trend: null },
+            { skill: 'C', evidence: {}, trend: { label: 'rising', slopePercent: 6 } },
+            { skill: 'D', evidence: {}, trend: { label: 'rising', slopePercent: 12 } },
+            { skill: 'E', evidence: {}, trend: { label: 'stable', slopePercent: 1 } }
+        ];
+
+        assert.deepStrictEqual(
+            validationService.sortGaps(gaps, 'trending').map(g => g.skill),
+            ['D', 'C', 'E', 'A', 'B']
+        );
+    });
+});
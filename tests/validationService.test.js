@@ -0,0 +1,122 @@
+/**
+ * Tests for validation scoring
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import validationService from '../src/services/validationService.js';
+import { getCoreSkills, getCoreSkillsForLevel } from '../src/config/roadmaps.js';
+
+const coreSkills = [
+    { name: 'HTML', weight: 10, category: 'fundamentals', expectedProficiency: 'strong' },
+    { name: 'Git', weight: 5, category: 'fundamentals', expectedProficiency: 'beginner' },
+    { name: 'CSS', weight: 5, category: 'fundamentals' }
+];
+
+describe('Proficiency-Aware Validation', () => {
+    it('should list skills held below the expected proficiency', () => {
+        const underProficient = validationService.findUnderProficient(coreSkills, [
+            { name: 'HTML', proficiency: 'beginner' },
+            { name: 'Git', proficiency: 'beginner' }
+        ]);
+
+        assert.deepStrictEqual(underProficient, [{
+            skill: 'HTML',
+            weight: 10,
+            proficiency: 'beginner',
+            expectedProficiency: 'strong'
+        }]);
+    });
+
+    it('should give partial credit in weighted coverage', () => {
+        // HTML: 10 * 0.4, Git: 5 * 1, CSS: missing
+        const percent = validationService.calculateWeightedCoverage(coreSkills, [
+            { name: 'html', proficiency: 'beginner' },
+            { name: 'Git', proficiency: 'beginner' }
+        ]);
+        assert.strictEqual(percent, '45.0');
+    });
+
+    it('should give full credit at or above the expected proficiency', () => {
+        const percent = validationService.calculateWeightedCoverage(coreSkills, [
+            { name: 'HTML', proficiency: 'strong' },
+            { name: 'Git', proficiency: 'intermediate' },
+            { name: 'CSS', proficiency: 'intermediate' }
+        ]);
+        assert.strictEqual(percent, '100.0');
+    });
+});
+
+describe('Seniority Targets', () => {
+    it('should include every core skill without a target level', () => {
+        const all = getCoreSkillsForLevel('frontend');
+        assert.strictEqual(all.length, getCoreSkills('frontend').length);
+    });
+
+    it('should only include skills required at the target level', () => {
+        const junior = getCoreSkillsForLevel('frontend', 'junior');
+        const senior = getCoreSkillsForLevel('frontend', 'senior');
+
+        assert.ok(junior.length < senior.length);
+        assert.ok(junior.every(skill => (skill.minLevel || 'junior') === 'junior'));
+    });
+
+    it('should use the expected proficiency for the target level', () => {
+        const skill = getCoreSkillsForLevel('frontend', 'senior').find(s => s.name === 'HTML');
+        assert.strictEqual(skill.expectedProficiency, getCoreSkills('frontend')
+            .find(s => s.name === 'HTML').proficiencyByLevel.senior);
+    });
+
+    it('should reject unknown levels', () => {
+        assert.throws(() => getCoreSkillsForLevel('frontend', 'principal'));
+    });
+});
+
+describe('Demand Normalization', () => {
+    const gap = (skill, github, npm) => ({
+        skill,
+        evidence: {
+            combinedScore: github,
+            sources: [
+                { id: 'github', count: github, weight: 1, normalizedWeight: 1, applicable: true, error: null },
+                { id: 'npm', count: npm ?? 0, weight: 0.0001, normalizedWeight: 1, applicable: npm !== undefined, error: null }
+            ]
+        }
+    });
+
+    it('should log-scale each provider against the highest count in the track', () => {
+        const [top, low] = validationService.normalizeDemand([gap('A', 9999, 99), gap('B', 99)]);
+
+        assert.strictEqual(top.evidence.sources[0].normalizedScore, 100);
+        assert.strictEqual(low.evidence.sources[0].normalizedScore, 50);
+        assert.strictEqual(low.evidence.sources[1].normalizedScore, null);
+        // Not-applicable providers are left out of the mean
+        assert.strictEqual(low.evidence.normalizedScore, 50);
+        assert.strictEqual(top.evidence.normalizedScore, 100);
+    });
+
+    it('should categorize by percentile within the track', () => {
+        const gaps = validationService.normalizeDemand(
+            [9, 99, 999, 9999, 99999, 999999].map((count, i) => gap(`S${i}`, count))
+        );
+
+        assert.deepStrictEqual(gaps.map(g => g.evidence.demandCategory),
+            ['low', 'low', 'medium', 'medium', 'high', 'high']);
+        assert.ok(gaps.every(g => g.evidence.categoryBasis === 'percentile'));
+        assert.ok(gaps[5].evidence.percentile > gaps[0].evidence.percentile);
+    });
+
+    it('should fall back to thresholds for small samples and rank skills without data low', () => {
+        const unavailable = gap('C', 0);
+        unavailable.evidence.sources[0].error = 'rate limited';
+
+        const gaps = validationService.normalizeDemand([gap('A', 500000), gap('B', 10), unavailable]);
+
+        assert.strictEqual(gaps[0].evidence.categoryBasis, 'threshold');
+        assert.strictEqual(gaps[0].evidence.demandCategory, validationService.categorizeDemand(500000));
+        assert.strictEqual(gaps[2].evidence.normalizedScore, null);
+        assert.strictEqual(gaps[2].evidence.percentile, null);
+        assert.strictEqual(gaps[2].evidence.demandCategory, 'low');
+    });
+});